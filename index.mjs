@@ -41,14 +41,40 @@ export const pipe = (x, ...fs) => { for (let i = 0; i < fs.length; i++) x = fs[i
 
 export const arrow = (...fs) => x => { for (let i = 0; i < fs.length; i++) x = fs[i](x); return x }
 
-export const curry = f => a => b => f(a, b)
+export const _ = Symbol('placeholder')
+
+export const curryN = (n, f) => {
+	const curried = args => (...xs) => {
+		const ys = args.slice()
+		let j = 0
+		for (let i = 0; i < ys.length && j < xs.length; i++)
+			if (ys[i] === _) ys[i] = xs[j++]
+		while (j < xs.length) ys.push(xs[j++])
+		return ys.length >= n && !ys.slice(0, n).includes(_)
+			? f(...ys)
+			: curried(ys)
+	}
+	return curried([])
+}
+
+export const curry = f => f.length < 2 ? a => b => f(a, b) : curryN(f.length, f)
+
+export const uncurry = n => f => (...xs) => {
+	for (let i = 0; i < n; i++) f = f(xs[i])
+	return f
+}
+
+export const flip = f => (a, b, ...xs) => f(b, a, ...xs)
+
+export const partial = (f, ...xs) => (...ys) => f(...xs, ...ys)
+export const partial_right = (f, ...xs) => (...ys) => f(...ys, ...xs)
+
+export const nary = (n, f) => (...xs) => f(...xs.slice(0, n))
 
 export const by = (...fs) => (a, b) => {
 	for (const f of fs) {
-		const xa = f(a)
-		const xb = f(b)
-		if (xa === xb) continue
-		else return xa < xb ? -1 : 1
+		const x = compare(f(a), f(b))
+		if (x !== 0) return x
 	}
 	return 0
 }
@@ -106,6 +132,97 @@ export const object_map = f => xs => Object.fromEntries(Object.entries(xs).map(x
 
 export const object_filter = f => xs => Object.fromEntries(Object.entries(xs).filter(x => f(x, xs)))
 
+export const assoc = k => v => o => {
+	if (o === null || o === undefined) return { [k]: v }
+	switch (o.constructor) {
+		case Map:
+			return o.has(k) && o.get(k) === v ? o : new Map(o).set(k, v)
+		case Set:
+			if (o.has(k) === Boolean(v)) return o
+			else if (v) return new Set(o).add(k)
+			else return tap(xs => xs.delete(k))(new Set(o))
+		case Array:
+			return k in o && o[k] === v ? o : tap(xs => xs[k] = v)(o.slice())
+		default:
+			return o.hasOwnProperty(k) && o[k] === v ? o : { ...o, [k]: v }
+	}
+}
+
+export const dissoc = (...ks) => o => {
+	if (o === null || o === undefined) return o
+	switch (o.constructor) {
+		case Map:
+		case Set:
+			if (!ks.some(k => o.has(k))) return o
+			return tap(x => ks.forEach(k => x.delete(k)))(new o.constructor(o))
+		case Array:
+			if (!ks.some(k => k in o)) return o
+			return o.filter((_, i) => !ks.includes(i))
+		default:
+			if (!ks.some(k => o.hasOwnProperty(k))) return o
+			return tap(x => ks.forEach(k => delete x[k]))({ ...o })
+	}
+}
+
+export const assoc_in = (...ks) => put(path(...ks))
+
+export const update_in = (...ks) => over(path(...ks))
+
+export const lens = (getter, setter) => f => x => {
+	const a = getter(x)
+	const b = f(a)
+	return a === b ? x : setter(b)(x)
+}
+
+export const prop = k => lens(get(k), assoc(k))
+
+export const index = i => lens(
+	xs => xs[i < 0 ? xs.length + i : i],
+	v => xs => assoc(i < 0 ? xs.length + i : i)(v)(xs))
+
+export const path = (...ks) => f => ks.reduceRight((g, k) => prop(k)(g), f)
+
+export const view = o => x => {
+	const xs = to_list(o)(x)
+	return xs.length === 0 ? null : xs[0]
+}
+
+export const over = o => f => x => o(f)(x)
+
+export const put = o => v => over(o)(K(v))
+
+export const to_list = o => x => {
+	const xs = []
+	o(tap(y => xs.push(y)))(x)
+	return xs
+}
+
+export const prism = (preview, review) => f => x => {
+	const a = preview(x)
+	if (a === null || a === undefined) return x
+	const b = f(a)
+	return a === b ? x : review(b)
+}
+
+export const nullable = prism(I, I)
+
+export const elements = f => xs => {
+	let changed = false
+	const g = x => {
+		const y = f(x)
+		if (x !== y) changed = true
+		return y
+	}
+	let ys
+	switch (xs.constructor) {
+		case Array: ys = xs.map(g) ; break
+		case Map: ys = new Map(Array.from(xs, ([k, v]) => [k, g(v)])) ; break
+		case Set: ys = new Set(Array.from(xs, g)) ; break
+		default: ys = object_map(([k, v]) => [k, g(v)])(xs) ; break
+	}
+	return changed ? ys : xs
+}
+
 export const not = a => !a
 
 export const and = a => b => b && a
@@ -148,7 +265,11 @@ export const array_get = B(array_map)(get)
 
 export const array_push = x => tap(xs => xs.push(x))
 
-export const pick = x => x[randint(0, x.length)]
+export const insert_at = (i, ...vs) => xs => tap(ys => ys.splice(i, 0, ...vs))(xs.slice())
+
+export const remove_at = (i, n=1) => xs => tap(ys => ys.splice(i, n))(xs.slice())
+
+export const pick = (x, random=Math.random) => x[randint(0, x.length, random)]
 
 export function construct(f, n) {
 	const x = []
@@ -165,6 +286,8 @@ export const join = d => xs => {
 
 export const sort = f => x => x.constructor === Array ? x.sort(f) : Array.from(x).sort(f)
 
+export const sorted = f => x => Array.from(x).sort(f)
+
 export const reverse = x => Array.from(x).reverse()
 
 export const objectify = f => foldr(x => tap(o => o[f(x)] = x))({})
@@ -225,34 +348,165 @@ export const OR = fs => x => fs.some(T(x))
 export const instance = a => b => b instanceof a
 
 export function equal (a, b) {
-	if (a === b) return true
-	else if (!(a && b)) return false
-	else if (a.constructor === b.constructor) {
-		switch (a.constructor) {
-			case Map:
-				if (a.size !== b.size) return false
-				for (const [k, v] of a)
-					if (!b.has(k) || b.get(k) !== v)
-						return false
-				return true
-			case Set:
-				if (a.size !== b.size) return false
-				for (const x of a)
-					if (!b.has(x))
-						return false
-				return true
-			default:
-				if (typeof a === 'object') {
-					const as = Object.keys(a)
-					if (as.length !== Object.keys(b).length)
-						return false
-					for (let i = 0; i < as.length; i++)
-						if (!equal(a[as[i]], b[as[i]]))
-							return false
-					return true
-				} else return false
+	return equal_(a, b, { customizer: null, signed_zero: false, seen: new Map() })
+}
+
+function equal_(a, b, ctx) {
+	if (ctx.customizer) {
+		const x = ctx.customizer(a, b)
+		if (x !== undefined) return Boolean(x)
+	}
+	if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object')
+		return same_value(a, b, ctx.signed_zero)
+	else if (a === b) return true
+	else if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false
+
+	let seen = ctx.seen.get(a)
+	if (!seen) ctx.seen.set(a, seen = new Set())
+	else if (seen.has(b)) return true
+	seen.add(b)
+	const x = equal_objects(a, b, ctx)
+	seen.delete(b)
+	return x
+}
+
+function equal_objects(a, b, ctx) {
+	switch (a.constructor) {
+		case Array:
+			return a.length === b.length && a.every((x, i) => equal_(x, b[i], ctx))
+
+		case Map: {
+			if (a.size !== b.size) return false
+			const rest = new Map(b)
+			for (const [k, v] of a) {
+				if (rest.has(k) && equal_(v, rest.get(k), ctx)) rest.delete(k)
+				else {
+					const match = find(([l, w]) => equal_(k, l, ctx) && equal_(v, w, ctx))(rest)
+					if (match === null) return false
+					rest.delete(match[0])
+				}
+			}
+			return true
+		}
+
+		case Set: {
+			if (a.size !== b.size) return false
+			const rest = new Set(b)
+			for (const x of a) {
+				if (rest.has(x)) rest.delete(x)
+				else {
+					const match = find(y => equal_(x, y[0], ctx))(map(Array.of)(rest))
+					if (match === null) return false
+					rest.delete(match[0])
+				}
+			}
+			return true
+		}
+
+		case Date:
+			return same_value(a.getTime(), b.getTime(), false)
+
+		case RegExp:
+			return a.source === b.source && a.flags === b.flags
+
+		case Number:
+		case String:
+		case Boolean:
+			return same_value(a.valueOf(), b.valueOf(), ctx.signed_zero)
+
+		case ArrayBuffer:
+			return equal_bytes(new Uint8Array(a), new Uint8Array(b))
+
+		case DataView:
+			return equal_bytes(
+				new Uint8Array(a.buffer, a.byteOffset, a.byteLength),
+				new Uint8Array(b.buffer, b.byteOffset, b.byteLength))
+
+		default: {
+			if (ArrayBuffer.isView(a))
+				return a.length === b.length && a.every((x, i) => same_value(x, b[i], ctx.signed_zero))
+			if (a instanceof Error && !(a.name === b.name && a.message === b.message && equal_(a.cause, b.cause, ctx)))
+				return false
+			const ks = Object.keys(a)
+			if (ks.length !== Object.keys(b).length) return false
+			for (const k of ks)
+				if (!Object.prototype.hasOwnProperty.call(b, k) || !equal_(a[k], b[k], ctx))
+					return false
+			return true
 		}
-	} else return false
+	}
+}
+
+const same_value = (a, b, signed_zero) => signed_zero ? Object.is(a, b) : a === b || (a !== a && b !== b)
+
+const equal_bytes = (a, b) => a.length === b.length && a.every((x, i) => x === b[i])
+
+export const equal_by = (customizer, { signed_zero=false }={}) => (a, b) =>
+	equal_(a, b, { customizer, signed_zero, seen: new Map() })
+
+export function compare(a, b) {
+	a = unbox(a)
+	b = unbox(b)
+	const ra = compare_rank(a)
+	const rb = compare_rank(b)
+	if (ra !== rb) return ra < rb ? -1 : 1
+	switch (ra) {
+		case 0:
+		case 1:
+			return 0
+		case 3:
+			if (a !== a || b !== b) return a !== a ? (b !== b ? 0 : -1) : 1
+			else return compare_primitive(a, b) || compare_primitive(typeof a === 'bigint', typeof b === 'bigint')
+		case 6:
+			return compare_primitive(String(a.description), String(b.description))
+		case 7:
+			return compare(a.getTime(), b.getTime())
+		case 8:
+			return compare_primitive(String(a), String(b))
+		case 9:
+			return compare_arrays(a, b)
+		case 10:
+		case 11:
+			return compare_arrays(sorted(compare)(a), sorted(compare)(b))
+		case 12:
+			return compare_arrays(sorted(compare)(Object.entries(a)), sorted(compare)(Object.entries(b)))
+		case 13:
+			return compare_primitive(a.name, b.name)
+		default:
+			return compare_primitive(a, b)
+	}
+}
+
+const unbox = x => x instanceof Number || x instanceof String || x instanceof Boolean ? x.valueOf() : x
+
+function compare_rank(x) {
+	if (x === undefined) return 0
+	else if (x === null) return 1
+	switch (typeof x) {
+		case 'boolean': return 2
+		case 'number':
+		case 'bigint': return 3
+		case 'string': return 5
+		case 'symbol': return 6
+		case 'function': return 13
+	}
+	if (x instanceof Date) return 7
+	else if (x instanceof RegExp) return 8
+	else if (Array.isArray(x) || (ArrayBuffer.isView(x) && !(x instanceof DataView))) return 9
+	else if (x instanceof Map) return 10
+	else if (x instanceof Set) return 11
+	else return 12
+}
+
+const compare_primitive = (a, b) => a < b ? -1 : (a > b ? 1 : 0)
+
+function compare_arrays(a, b) {
+	const n = Math.min(a.length, b.length)
+	for (let i = 0; i < n; i++) {
+		const x = compare(a[i], b[i])
+		if (x !== 0) return x
+	}
+	return compare_primitive(a.length, b.length)
 }
 
 export const ifelse = cond => (good, bad) => x => cond(x) ? good(x) : bad(x)
@@ -285,6 +539,84 @@ export const cond = (...fs) => x => {
 	return len === fs.length ? x : last(fs)(x)
 }
 
+export const match = (...cases) => x => {
+	const len = cases.length - cases.length % 2
+	for (let i = 0; i < len; i += 2) {
+		const captures = {}
+		if (matches(cases[i], x, captures)) return cases[i+1](captures, x)
+	}
+	if (len !== cases.length) return last(cases)({}, x)
+	else throw new MatchError(x, len / 2)
+}
+
+class Pattern {
+	constructor(test, rest=false) {
+		this.test = test
+		this.rest = rest
+	}
+}
+
+match._ = new Pattern(K(true))
+match.where = f => new Pattern(x => Boolean(f(x)))
+match.capture = (name, p=match._) => new Pattern((x, captures) => {
+	if (!matches(p, x, captures)) return false
+	captures[name] = x
+	return true
+})
+match.guard = (p, f) => new Pattern((x, captures) => matches(p, x, captures) && Boolean(f(captures, x)))
+match.rest = name => new Pattern((xs, captures) => { captures[name] = xs ; return true }, true)
+
+function matches(p, x, captures) {
+	if (p instanceof Pattern) return p.test(x, captures)
+	else if (Array.isArray(p)) {
+		if (!Array.isArray(x)) return false
+		const rest = p.length > 0 && last(p) instanceof Pattern && last(p).rest
+		const n = rest ? p.length - 1 : p.length
+		if (rest ? x.length < n : x.length !== n) return false
+		for (let i = 0; i < n; i++)
+			if (!matches(p[i], x[i], captures)) return false
+		return rest ? last(p).test(x.slice(n), captures) : true
+	}
+	else if (p instanceof RegExp) return typeof x === 'string' && x.search(p) !== -1
+	else if (typeof p === 'function' && p.prototype === undefined) return Boolean(p(x))
+	else if (typeof p === 'function') return x !== null && x !== undefined && Object(x) instanceof p
+	else if (p !== null && p.constructor === Object) {
+		if (x === null || x === undefined) return false
+		for (const k of Object.keys(p)) {
+			const has_k = x instanceof Map ? x.has(k) : k in Object(x)
+			if (!has_k || !matches(p[k], get(k)(x), captures)) return false
+		}
+		return true
+	}
+	else return p === x || (p !== p && x !== x)
+}
+
+export class MatchError extends Error {
+	constructor(value, patterns) {
+		super(`No pattern matched ${describe(value)} (tried ${patterns} patterns)`)
+		this.name = 'MatchError'
+		this.value = value
+	}
+}
+
+function describe(x, seen=new Set()) {
+	if (x === null || typeof x !== 'object') return JSON.stringify(x) ?? String(x)
+	if (seen.has(x)) return '[Circular]'
+	seen.add(x)
+	try {
+		const d = y => describe(y, seen)
+		switch (x.constructor) {
+			case Map: return `Map {${Array.from(x, ([k, v]) => `${d(k)} => ${d(v)}`).join(', ')}}`
+			case Set: return `Set {${Array.from(x, d).join(', ')}}`
+			case Array: return `[${Array.from(x, d).join(',')}]`
+			case Object: return `{${Object.entries(x).map(([k, v]) => `${JSON.stringify(k)}:${d(v)}`).join(',')}}`
+			default:
+				try { return JSON.stringify(x) ?? String(x) }
+				catch (e) { return String(x) }
+		}
+	} finally { seen.delete(x) }
+}
+
 export const attempt = f => {
 	try { return f() }
 	catch (e) { return e }
@@ -295,6 +627,168 @@ export const reject = (f, m) => x => {
 	else return x
 }
 
+export class Maybe {
+	constructor(just, value) {
+		this.just = just
+		this.value = value
+	}
+
+	static Just(x) { return new Maybe(true, x) }
+	static fromNullable(x) { return x === null || x === undefined ? Maybe.Nothing : Maybe.Just(x) }
+	static fromResult(r) { return r.ok ? Maybe.Just(r.value) : Maybe.Nothing }
+
+	map(f) { return this.just ? Maybe.Just(f(this.value)) : this }
+	chain(f) { return this.just ? f(this.value) : this }
+	flatMap(f) { return this.chain(x => { const y = f(x) ; return y instanceof Maybe ? y : Maybe.Just(y) }) }
+	filter(f) { return this.just && !f(this.value) ? Maybe.Nothing : this }
+	fold(nothing, just) { return this.just ? just(this.value) : nothing() }
+	getOrElse(x) { return this.just ? this.value : x }
+	toNullable() { return this.just ? this.value : null }
+	async mapAsync(f) { return this.just ? Maybe.Just(await f(this.value)) : this }
+	async chainAsync(f) { return this.just ? f(this.value) : this }
+}
+
+Maybe.Nothing = new Maybe(false, undefined)
+
+export class Result {
+	constructor(ok, value) {
+		this.ok = ok
+		this.value = value
+	}
+
+	static Ok(x) { return new Result(true, x) }
+	static Err(e) { return new Result(false, e) }
+
+	static tryCatch(f, ...xs) {
+		try { return Result.Ok(f(...xs)) }
+		catch (e) { return Result.Err(e) }
+	}
+
+	static async tryCatchAsync(f, ...xs) {
+		try { return Result.Ok(await f(...xs)) }
+		catch (e) { return Result.Err(e) }
+	}
+
+	static fromAttempt(x) { return x instanceof Error ? Result.Err(x) : Result.Ok(x) }
+	static fromMaybe(m, e) { return m.just ? Result.Ok(m.value) : Result.Err(e) }
+
+	map(f) { return this.ok ? Result.Ok(f(this.value)) : this }
+	mapErr(f) { return this.ok ? this : Result.Err(f(this.value)) }
+	chain(f) { return this.ok ? f(this.value) : this }
+	flatMap(f) { return this.chain(x => { const y = f(x) ; return y instanceof Result ? y : Result.Ok(y) }) }
+	fold(err, ok) { return this.ok ? ok(this.value) : err(this.value) }
+	getOrElse(x) { return this.ok ? this.value : x }
+	toAttempt() { return this.value }
+	async mapAsync(f) { return this.ok ? Result.Ok(await f(this.value)) : this }
+	async chainAsync(f) { return this.ok ? f(this.value) : this }
+
+	unwrap() {
+		if (this.ok) return this.value
+		else throw this.value
+	}
+}
+
+const decoder = (f, schema={}) => Object.assign(x => x instanceof Result ? x.chain(f) : f(x), { schema })
+
+const decoder_schema = d => d.schema ?? {}
+
+const decode_error = (message, path=[]) => Result.Err([{ path, message }])
+
+const type_name = x =>
+	x === null ? 'null'
+	: Array.isArray(x) ? 'array'
+	: typeof x === 'number' && !Number.isFinite(x) ? String(x)
+	: typeof x
+
+const decode_type = (type, test) => decoder(
+	x => test(x) ? Result.Ok(x) : decode_error(`expected a ${type}, got ${type_name(x)}`),
+	{ type })
+
+export const Decoder = {}
+
+Decoder.string = decode_type('string', x => typeof x === 'string')
+Decoder.number = decode_type('number', Number.isFinite)
+Decoder.boolean = decode_type('boolean', x => typeof x === 'boolean')
+Decoder.any = decoder(Result.Ok)
+
+Decoder.literal = (...xs) => decoder(
+	x => xs.includes(x) ? Result.Ok(x) : decode_error(`expected one of ${xs.map(describe).join(', ')}, got ${describe(x)}`),
+	{ enum: xs })
+
+Decoder.object = (shape, { strict=false }={}) => decoder(x => {
+	if (x === null || typeof x !== 'object' || Array.isArray(x))
+		return decode_error(`expected an object, got ${type_name(x)}`)
+	const errors = []
+	const y = {}
+	for (const [k, d] of Object.entries(shape)) {
+		const own = Object.prototype.hasOwnProperty.call(x, k)
+		const r = d(own ? x[k] : undefined)
+		if (r.ok) { if (r.value !== undefined || own) y[k] = r.value }
+		else errors.push(...decode_at(k, r.value))
+	}
+	if (strict)
+		for (const k of Object.keys(x))
+			if (!shape.hasOwnProperty(k)) errors.push({ path: [k], message: 'unexpected key' })
+	return errors.length ? Result.Err(errors) : Result.Ok(y)
+}, {
+	type: 'object',
+	properties: object_map(([k, d]) => [k, decoder_schema(d)])(shape),
+	required: Object.keys(shape).filter(k => !shape[k].optional),
+	additionalProperties: !strict,
+})
+
+const decode_at = (k, errors) => errors.map(e => e.alternatives
+	? { ...e, path: [k, ...e.path], alternatives: e.alternatives.map(es => decode_at(k, es)) }
+	: { ...e, path: [k, ...e.path] })
+
+Decoder.array_of = d => decoder(xs => {
+	if (!Array.isArray(xs)) return decode_error(`expected an array, got ${type_name(xs)}`)
+	const errors = []
+	const ys = xs.map((x, i) => {
+		const r = d(x)
+		if (!r.ok) errors.push(...decode_at(i, r.value))
+		return r.value
+	})
+	return errors.length ? Result.Err(errors) : Result.Ok(ys)
+}, { type: 'array', items: decoder_schema(d) })
+
+Decoder.optional = (d, fallback=undefined) => Object.assign(
+	decoder(x => x === undefined ? Result.Ok(fallback) : d(x), fallback === undefined
+		? decoder_schema(d)
+		: { ...decoder_schema(d), default: fallback }),
+	{ optional: true })
+
+Decoder.union = (...ds) => decoder(x => {
+	const alternatives = []
+	for (const d of ds) {
+		const r = d(x)
+		if (r.ok) return r
+		else alternatives.push(r.value)
+	}
+	return Result.Err([{ path: [], message: `did not match any of ${ds.length} alternatives`, alternatives }])
+}, { anyOf: ds.map(decoder_schema) })
+
+Decoder.refine = (f, message, schema={}) => decoder(x => f(x) ? Result.Ok(x) : decode_error(message), schema)
+
+Decoder.transform = f => decoder(x => Result.tryCatch(f, x).mapErr(e => [{ path: [], message: e.message }]))
+
+Decoder.pipe = (...ds) => Object.assign(arrow(...ds), {
+	schema: Object.assign({}, ...ds.map(decoder_schema)),
+	optional: ds.length > 0 && ds[0].optional === true,
+})
+
+Decoder.json_schema = d => ({ $schema: 'https://json-schema.org/draft/2020-12/schema', ...d.schema })
+
+export class DecodeError extends Error {
+	constructor(errors) {
+		super(errors.map(e => (e.path.length ? e.path.join('.') : '(root)') + ': ' + e.message).join('\n'))
+		this.name = 'DecodeError'
+		this.errors = errors
+	}
+}
+
+Decoder.assert = d => x => d(x).mapErr(N(DecodeError)).unwrap()
+
 export function between (x, low, high) { return x >= low && x <= high }
 
 export const cbetween = (low, high) => x => between(x, low, high)
@@ -352,131 +846,774 @@ export const add = a => b => {
 
 export const addr = C(add)
 
-export const randint = (a, b) => a+Math.floor(Math.random()*(b-a))
+export const randint = (a, b, random=Math.random) => a+Math.floor(random_float(random)*(b-a))
 
 export const clamp = (x, min, max) => {
+	if (min instanceof Range) [min, max] = [min.min, min.max]
 	if (x < min) return min
 	else if (x > max) return max
 	else return x
 }
 
-export const relative = (x, min, max) => (x-min)/(max-min)
+export const relative = (x, min, max) => {
+	if (min instanceof Range) [min, max] = [min.min, min.max]
+	return (x-min)/(max-min)
+}
+
+export const round = (x, n=0, mode='half_up') =>
+	Number.isFinite(x) ? Decimal.from(x).round(-n, mode).toNumber() : x
+
+export const ceil = (x, n=0) => round(x, n, 'ceil')
+
+export const floor = (x, n=0) => round(x, n, 'floor')
+
+export class Decimal {
+	constructor(units, scale=0) {
+		this.units = BigInt(units)
+		this.scale = scale
+	}
+
+	static from(x) {
+		if (x instanceof Decimal) return x
+		else if (typeof x === 'bigint') return new Decimal(x)
+		else if (typeof x === 'number' && !Number.isFinite(x)) throw new RangeError(`Cannot convert ${x} to a Decimal`)
+		const m = String(x).trim().match(/^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i)
+		if (m === null || m[2] + (m[3] ?? '') === '') throw new SyntaxError(`Cannot convert ${describe(x)} to a Decimal`)
+		const fraction = m[3] ?? ''
+		const scale = fraction.length - Number(m[4] ?? 0)
+		const units = BigInt(m[1] + m[2] + fraction + '0'.repeat(Math.max(0, -scale)))
+		return new Decimal(units, Math.max(0, scale))
+	}
+
+	add(y) {
+		const [a, b, scale] = align_decimals(this, Decimal.from(y))
+		return new Decimal(a + b, scale)
+	}
+
+	sub(y) { return this.add(Decimal.from(y).neg()) }
+
+	mul(y) {
+		y = Decimal.from(y)
+		return new Decimal(this.units * y.units, this.scale + y.scale)
+	}
+
+	div(y, places, mode='half_up') {
+		if (!Number.isInteger(places) || places < 0) throw new RangeError(`Decimal places must be a non-negative integer, got ${places}`)
+		y = Decimal.from(y)
+		if (y.units === 0n) throw new RangeError('Division by zero')
+		let n = this.units * 10n ** BigInt(y.scale + places)
+		let d = y.units * 10n ** BigInt(this.scale)
+		if (d < 0n) [n, d] = [-n, -d]
+		return new Decimal(divide_rounded(n, d, mode), places)
+	}
+
+	round(places=0, mode='half_up') {
+		if (places >= this.scale) return new Decimal(this.units * 10n ** BigInt(places - this.scale), places)
+		const units = divide_rounded(this.units, 10n ** BigInt(this.scale - places), mode)
+		return places >= 0
+			? new Decimal(units, places)
+			: new Decimal(units * 10n ** BigInt(-places), 0)
+	}
+
+	neg() { return new Decimal(-this.units, this.scale) }
+
+	abs() { return this.units < 0n ? this.neg() : this }
+
+	compare(y) {
+		const [a, b] = align_decimals(this, Decimal.from(y))
+		return a < b ? -1 : a > b ? 1 : 0
+	}
+
+	toString() {
+		const digits = (this.units < 0n ? -this.units : this.units).toString().padStart(this.scale + 1, '0')
+		return (this.units < 0n ? '-' : '')
+			+ digits.slice(0, digits.length - this.scale)
+			+ (this.scale > 0 ? '.' + digits.slice(digits.length - this.scale) : '')
+	}
+
+	toNumber() { return Number(this.toString()) }
+
+	toJSON() { return this.toString() }
+}
+
+const align_decimals = (a, b) => {
+	const scale = Math.max(a.scale, b.scale)
+	return [
+		a.units * 10n ** BigInt(scale - a.scale),
+		b.units * 10n ** BigInt(scale - b.scale),
+		scale,
+	]
+}
 
-export const ceil = (x, n=0) => Math.ceil(x*10**-n)*10**n
+// n / d rounded to an integer, where d is positive
+const divide_rounded = (n, d, mode) => {
+	const q = n / d
+	const r = n % d
+	if (r === 0n) return q
+	const away = n < 0n ? q - 1n : q + 1n
+	const half = 2n * (r < 0n ? -r : r) - d
+	switch (mode) {
+		case 'up': return away
+		case 'down': return q
+		case 'ceil': return n > 0n ? away : q
+		case 'floor': return n < 0n ? away : q
+		case 'half_up': return half >= 0n ? away : q
+		case 'half_down': return half > 0n ? away : q
+		case 'half_even': return half > 0n || (half === 0n && q % 2n !== 0n) ? away : q
+		default: throw new Error(`Unknown rounding mode ${mode}`)
+	}
+}
 
-export const floor = (x, n=0) => Math.floor(x*10**-n)*10**n
+export const format_number = (x, { locale, places, mode='half_up', ...options }={}) => {
+	x = Decimal.from(x)
+	if (places !== undefined) {
+		x = x.round(places, mode)
+		options = { minimumFractionDigits: places, maximumFractionDigits: places, ...options }
+	}
+	const format = new Intl.NumberFormat(locale, options)
+	const { style, notation='standard', minimumFractionDigits, maximumFractionDigits } = format.resolvedOptions()
+	if (style === 'percent' || notation !== 'standard' || maximumFractionDigits === undefined)
+		return format.format(x.toNumber())
+	const digits = x.round(Math.min(x.scale, maximumFractionDigits), mode).toString()
+	const negative = digits.startsWith('-')
+	const [integer, fraction=''] = (negative ? digits.slice(1) : digits).split('.')
+	const shown = fraction.replace(/0+$/, '').padEnd(minimumFractionDigits, '0')
+	return new Intl.NumberFormat(locale, { ...options, minimumFractionDigits: shown.length, maximumFractionDigits: shown.length })
+		.formatToParts(integer === '0' && negative ? -0 : BigInt((negative ? '-' : '') + integer))
+		.map(part => part.type === 'fraction' ? shown : part.value)
+		.join('')
+}
 
 export const minmax = (a, b) => b < a ? [b, a] : [a, b]
 
 export const plus_mod = m => x => x + (m - x % m)
 
-export const rollover = (low, high) => x => {
-	if (x < low) return high
-	else if (x > high) return low
-	else return x
+export const rollover = (low, high) => {
+	if (low instanceof Range) [low, high] = [low.min, low.max]
+	return x => {
+		if (x < low) return high
+		else if (x > high) return low
+		else return x
+	}
 }
 
 export function* naturals() { let i = 0 ; while (true) yield i++ }
 
 export class Range {
-	constructor(min, max) {
+	constructor(min, max, { step=1, bounds='[]' }={}) {
+		if (step === 0) throw new RangeError('Range step must not be 0')
 		this.min = min
 		this.max = max
+		this.step = step
+		this.bounds = bounds
 	}
 
 	includes(x) {
-		return between(x, this.min, this.max)
+		return bound_before(this.min, min_open(this), x, false)
+			&& bound_before(x, false, this.max, max_open(this))
 	}
-}
 
-export const probability = div(100)
+	get length() {
+		if (!bound_before(this.min, min_open(this), this.max, max_open(this))) return 0
+		const k = snap_integer((this.max - this.min) / Math.abs(this.step))
+		const open_start = this.step > 0 ? min_open(this) : max_open(this)
+		const open_end = this.step > 0 ? max_open(this) : min_open(this)
+		return Math.max(0, Math.floor(k) + 1 - Number(open_start) - Number(open_end && Number.isInteger(k)))
+	}
 
+	at(i) {
+		const n = this.length
+		if (i < 0) i += n
+		if (i < 0 || i >= n) return undefined
+		else if (this.step > 0) return range_value(this.min, i + Number(min_open(this)), this.step)
+		else return range_value(this.max, i + Number(max_open(this)), this.step)
+	}
 
-export const percentage = mult(100)
+	*[Symbol.iterator]() {
+		for (let i = 0, n = this.length; i < n; i++) yield this.at(i)
+	}
 
-export function signum (x) {
-	if (x === 0) return 0
-	else if (x < 0) return -1
-	else if (x > 0) return 1
+	reverse() {
+		if (this.length === Infinity) throw new RangeError('Cannot reverse an infinite range')
+		else if (this.length === 0) return new Range(this.min, this.max, { step: -this.step, bounds: this.bounds })
+		else if (this.step > 0) return new Range(this.min, this.at(-1), { step: -this.step, bounds: this.bounds[0] + ']' })
+		else return new Range(this.at(-1), this.max, { step: -this.step, bounds: '[' + this.bounds[1] })
+	}
+
+	overlaps(r) {
+		return bound_before(this.min, min_open(this), r.max, max_open(r))
+			&& bound_before(r.min, min_open(r), this.max, max_open(this))
+	}
+
+	contains_range(r) {
+		return (this.min < r.min || (this.min === r.min && (!min_open(this) || min_open(r))))
+			&& (r.max < this.max || (r.max === this.max && (!max_open(this) || max_open(r))))
+	}
+
+	intersect(r) {
+		if (!this.overlaps(r)) return null
+		const min = Math.max(this.min, r.min)
+		const max = Math.min(this.max, r.max)
+		return new Range(min, max, { step: this.step, bounds: range_bounds(
+			(this.min === min && min_open(this)) || (r.min === min && min_open(r)),
+			(this.max === max && max_open(this)) || (r.max === max && max_open(r))) })
+	}
+
+	union(r) {
+		if (!bound_joins(this.min, min_open(this), r.max, max_open(r)) || !bound_joins(r.min, min_open(r), this.max, max_open(this)))
+			return null
+		const min = Math.min(this.min, r.min)
+		const max = Math.max(this.max, r.max)
+		return new Range(min, max, { step: this.step, bounds: range_bounds(
+			!((this.min === min && !min_open(this)) || (r.min === min && !min_open(r))),
+			!((this.max === max && !max_open(this)) || (r.max === max && !max_open(r)))) })
+	}
+
+	split(n) {
+		const at = i => i === n ? this.max : this.min + (this.max - this.min) * i / n
+		return construct(i => new Range(at(i), at(i + 1), {
+			step: this.step,
+			bounds: (i === 0 ? this.bounds[0] : '[') + (i === n - 1 ? this.bounds[1] : ')'),
+		}), n)
+	}
 }
 
-export const StopIteration = Symbol()
+const min_open = r => r.bounds[0] === '('
+const max_open = r => r.bounds[1] === ')'
+const range_bounds = (min_open, max_open) => (min_open ? '(' : '[') + (max_open ? ')' : ']')
 
-export const isIterable = x => x !== null && x !== undefined && x[Symbol.iterator] instanceof Function
+// whether the bound a comes before the bound b, so that there are numbers between them
+const bound_before = (a, a_open, b, b_open) => a < b || (a === b && !a_open && !b_open)
 
-export const iter = x => x[Symbol.iterator]()
+// whether the bounds a and b leave no gap between them
+const bound_joins = (a, a_open, b, b_open) => a < b || (a === b && !(a_open && b_open))
 
-export const inside = xs => x => {
-	if (xs === null || xs === undefined) return false
-	switch (xs.constructor) {
-		case Array:
-		case String:
-		case Range:
-			return xs.includes(x)
+const snap_integer = x => Math.abs(x - Math.round(x)) < 1e-9 ? Math.round(x) : x
 
-		case Set:
-		case Map:
-			return xs.has(x)
+// origin + k * step, computed in decimal when it isn't whole, so that fractional steps don't drift
+const range_value = (origin, k, step) =>
+	!Number.isFinite(origin) || !Number.isFinite(step) || (Number.isInteger(origin) && Number.isInteger(step))
+		? origin + k * step
+		: Decimal.from(origin).add(Decimal.from(step).mul(k)).toNumber()
 
-		case Object:
-			return xs.hasOwnProperty(x)
+export class IntervalSet {
+	constructor(ranges=[]) {
+		this.ranges = []
+		for (const r of ranges) this.add(r)
+	}
 
-		default:
-			return false
+	add(r) {
+		if (range_empty(r)) return this
+		const i = bisect(this.ranges, s => bound_joins(r.min, min_open(r), s.max, max_open(s)))
+		let j = i
+		while (j < this.ranges.length && r.union(this.ranges[j]) !== null) r = r.union(this.ranges[j++])
+		this.ranges.splice(i, j - i, new Range(r.min, r.max, { bounds: r.bounds }))
+		return this
 	}
-}
 
-export const outside = B1(not)(inside)
+	remove(r) {
+		if (range_empty(r)) return this
+		const i = bisect(this.ranges, s => bound_before(r.min, min_open(r), s.max, max_open(s)))
+		let j = i
+		const rest = []
+		for (; j < this.ranges.length && r.overlaps(this.ranges[j]); j++) {
+			const s = this.ranges[j]
+			const left = new Range(s.min, r.min, { bounds: s.bounds[0] + (min_open(r) ? ']' : ')') })
+			const right = new Range(r.max, s.max, { bounds: (max_open(r) ? '[' : '(') + s.bounds[1] })
+			if (!range_empty(left)) rest.push(left)
+			if (!range_empty(right)) rest.push(right)
+		}
+		this.ranges.splice(i, j - i, ...rest)
+		return this
+	}
 
-export const has = C(inside)
+	includes(x) {
+		const s = this.ranges[bisect(this.ranges, s => bound_before(x, false, s.max, max_open(s)))]
+		return s !== undefined && s.includes(x)
+	}
 
-export const hasnt = C(outside)
+	overlapping(r) {
+		const xs = []
+		for (let i = bisect(this.ranges, s => bound_before(r.min, min_open(r), s.max, max_open(s))); i < this.ranges.length && r.overlaps(this.ranges[i]); i++)
+			xs.push(this.ranges[i])
+		return xs
+	}
 
-export const flatten = n => function* (xs) {
-	for (const x of xs)
-		if (n > 0 && isIterable(x)) yield* flatten(n-1)(x)
-		else yield x
-}
+	overlaps(r) { return this.overlapping(r).length > 0 }
 
-export const flatten_until = f => function* (xs) {
-	for (const x of xs)
-		if (f(x)) yield x
-		else yield* flatten_until(f)(x)
-}
+	contains_range(r) {
+		const xs = this.overlapping(r)
+		return xs.length === 1 && xs[0].contains_range(r)
+	}
 
-export function* enumerate (xs) { let i = 0 ; for (const x of xs) yield [i++, x] }
+	union(s) { return new IntervalSet([...this, ...s]) }
 
-export const foldl = f => i => xs => { let a = i ; for (const x of xs) a = f(a)(x) ; return a }
-export const foldr = f => i => xs => { let a = i ; for (const x of xs) a = f(x)(a) ; return a }
+	intersect(s) { return new IntervalSet(this.ranges.flatMap(r => s.overlapping(r).map(x => r.intersect(x)))) }
 
-export const scanl = f => i => function* (xs) {
-	let a = i
-	for (const x of xs) {
-		a = f(a)(x)
-		yield a
-	}
-}
-export const scanr = f => i => function* (xs) {
-	let a = i
-	for (const x of xs) {
-		a = f(x)(a)
-		yield a
+	complement(bounds) {
+		const s = new IntervalSet([bounds])
+		for (const r of this) s.remove(r)
+		return s
 	}
+
+	[Symbol.iterator]() { return this.ranges[Symbol.iterator]() }
 }
 
-export const map = f => function* (xs) { for (const x of xs) yield f(x) }
+const range_empty = r => !bound_before(r.min, min_open(r), r.max, max_open(r))
 
-export const bind = f => xs => {
-	if (xs.then) return xs.then(f)
-	else if (xs.flatMap) return xs.flatMap(f)
-	else return flatten(1)(map(f)(xs))
+// the first index of the sorted array xs for which f is true, or its length if there is none
+const bisect = (xs, f) => {
+	let low = 0
+	let high = xs.length
+	while (low < high) {
+		const mid = (low + high) >>> 1
+		if (f(xs[mid])) high = mid
+		else low = mid + 1
+	}
+	return low
 }
 
-export const filter = f => function* (xs) { for (const x of xs) if (f(x)) yield x }
+export const probability = div(100)
 
-export const find = f => xs => { for (const x of xs) if (f(x)) return x ; return null }
+export const percentage = mult(100)
 
-export const find_many = (...fs) => foldr(x => tap(xs => {
+export function signum (x) {
+	if (x === 0) return 0
+	else if (x < 0) return -1
+	else if (x > 0) return 1
+}
+
+export class Random {
+	constructor(seed=Math.random()) {
+		const next = splitmix32(hash(seed))
+		this.state = Uint32Array.of(next(), next(), next(), next())
+	}
+
+	next() {
+		const s = this.state
+		const x = Math.imul(rotl32(Math.imul(s[1], 5), 7), 9) >>> 0
+		const t = s[1] << 9
+		s[2] ^= s[0]
+		s[3] ^= s[1]
+		s[1] ^= s[2]
+		s[0] ^= s[3]
+		s[2] ^= t
+		s[3] = rotl32(s[3], 11)
+		return x
+	}
+
+	float() { return this.next() / 2**32 }
+
+	int(a, b) { return randint(a, b, this) }
+
+	pick(xs) { return pick(xs, this) }
+
+	shuffle(xs) { return this.sample(xs, xs.length) }
+
+	sample(xs, k) {
+		if (k > xs.length) throw new RangeError(`Cannot sample ${k} elements from ${xs.length}`)
+		const ys = Array.from(xs)
+		for (let i = 0; i < k; i++) {
+			const j = this.int(i, ys.length)
+			const y = ys[i]
+			ys[i] = ys[j]
+			ys[j] = y
+		}
+		ys.length = k
+		return ys
+	}
+
+	weighted(xs, ws) {
+		let x = this.float() * sum(ws)
+		for (let i = 0; i < xs.length; i++) {
+			x -= ws[i]
+			if (x < 0) return xs[i]
+		}
+		for (let i = xs.length - 1; i >= 0; i--)
+			if (ws[i] > 0) return xs[i]
+	}
+
+	gaussian(mean=0, stddev=1) {
+		return mean + stddev * Math.sqrt(-2 * Math.log(1 - this.float())) * Math.cos(2 * Math.PI * this.float())
+	}
+
+	exponential(rate=1) { return -Math.log(1 - this.float()) / rate }
+
+	fork() {
+		const random = Object.create(Random.prototype)
+		random.state = Uint32Array.of(this.next(), this.next(), this.next(), this.next())
+		return random
+	}
+}
+
+const rotl32 = (x, k) => (x << k) | (x >>> (32 - k))
+
+const splitmix32 = x => () => {
+	x = (x + 0x9e3779b9) | 0
+	let z = x
+	z = Math.imul(z ^ (z >>> 16), 0x85ebca6b)
+	z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35)
+	return (z ^ (z >>> 16)) >>> 0
+}
+
+const random_float = random =>
+	random instanceof Random ? random.float()
+	: random instanceof Function ? random()
+	: Math.random()
+
+export class Arbitrary {
+	constructor(generate) { this.generate = generate }
+
+	map(f) { return new Arbitrary((random, size) => shrink_tree_map(f, this.generate(random, size))) }
+
+	filter(f) {
+		return new Arbitrary((random, size) => {
+			for (let i = 0; i < 100; i++) {
+				const t = this.generate(random, size)
+				if (f(t.value)) return shrink_tree_filter(f, t)
+			}
+			throw new Error('Could not generate a value that passes the filter')
+		})
+	}
+
+	chain(f) {
+		return new Arbitrary((random, size) =>
+			f(this.generate(random, size).value).generate(random, size))
+	}
+}
+
+class ShrinkTree {
+	constructor(value, shrinks=function* () {}) {
+		this.value = value
+		this.shrinks = shrinks
+	}
+}
+
+const shrink_tree_map = (f, t) => new ShrinkTree(f(t.value), function* () {
+	for (const c of t.shrinks()) yield shrink_tree_map(f, c)
+})
+
+const shrink_tree_filter = (f, t) => new ShrinkTree(t.value, function* () {
+	for (const c of t.shrinks()) if (f(c.value)) yield shrink_tree_filter(f, c)
+})
+
+export const Arb = {}
+
+Arb.constant = x => new Arbitrary(() => new ShrinkTree(x))
+
+Arb.integer = (min, max) => new Arbitrary((random, size) => {
+	const a = min ?? Math.min(-size, (max ?? 0) - size)
+	const b = max ?? Math.max(size, a + size)
+	return integer_tree(random.int(a, b + 1), clamp(0, a, b))
+})
+
+const integer_tree = (x, target) => new ShrinkTree(x, function* () {
+	for (let d = x - target; d !== 0; d = Math.trunc(d / 2))
+		yield integer_tree(x - d, target)
+})
+
+Arb.float = (min, max) => new Arbitrary((random, size) => {
+	const a = min ?? Math.min(-size, (max ?? 0) - size)
+	const b = max ?? Math.max(size, a + size)
+	return float_tree(a + random.float() * (b - a), clamp(0, a, b))
+})
+
+const float_tree = (x, target) => new ShrinkTree(x, function* () {
+	if (x === target) return
+	yield float_tree(target, target)
+	const t = Math.trunc(x)
+	if (t !== x && t !== target && (t - target) * (x - target) > 0) yield float_tree(t, target)
+	const half = target + (x - target) / 2
+	if (half !== x && half !== target) yield float_tree(half, target)
+})
+
+Arb.boolean = Arb.integer(0, 1).map(Boolean)
+
+Arb.element_of = xs => Arb.integer(0, xs.length - 1).map(i => xs[i])
+
+Arb.string = ({ chars='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ', min=0, max }={}) =>
+	Arb.array_of(Arb.element_of(Array.from(chars)), { min, max }).map(xs => xs.join(''))
+
+Arb.tuple = (...arbs) => new Arbitrary((random, size) =>
+	array_tree(arbs.map(arb => arb.generate(random, size)), arbs.length))
+
+Arb.array_of = (arb, { min=0, max }={}) => new Arbitrary((random, size) =>
+	array_tree(
+		construct(() => arb.generate(random, size), random.int(min, Math.max(min, max ?? size) + 1)),
+		min))
+
+const array_tree = (ts, min) => new ShrinkTree(ts.map(get('value')), function* () {
+	for (let n = ts.length - min; n > 0; n = Math.floor(n / 2))
+		for (let i = 0; i + n <= ts.length; i += n)
+			yield array_tree(remove_at(i, n)(ts), min)
+	for (let i = 0; i < ts.length; i++)
+		for (const t of ts[i].shrinks())
+			yield array_tree(assoc(i)(t)(ts), min)
+})
+
+Arb.object = shape => Arb.tuple(...Object.values(shape))
+	.map(xs => Object.fromEntries(Object.keys(shape).map((k, i) => [k, xs[i]])))
+
+Arb.map_of = (k, v) => Arb.array_of(Arb.tuple(k, v)).map(N(Map))
+
+Arb.set_of = arb => Arb.array_of(arb).map(N(Set))
+
+Arb.one_of = (...arbs) => new Arbitrary((random, size) => random.pick(arbs).generate(random, size))
+
+export class PropertyError extends Error {
+	constructor(counterexample, seed, run, shrinks, cause) {
+		super(`Property failed after ${run} runs with seed ${seed}, shrunk ${shrinks} times. Counterexample: ${describe(counterexample)}`
+			+ (cause ? `\n${cause.message ?? cause}` : ''), { cause })
+		this.name = 'PropertyError'
+		this.counterexample = counterexample
+		this.seed = seed
+	}
+}
+
+export const for_all = (arbs, prop, { runs=100, seed=randint(0, 2**32), max_size=100, max_shrinks=1000 }={}) => {
+	const random = new Random(seed)
+	const arb = Arb.tuple(...arbs)
+	for (let run = 1; run <= runs; run++) {
+		let t = arb.generate(random, Math.round(run / runs * max_size))
+		let failure = property_failure(prop, t.value)
+		if (!failure) continue
+		let shrinks = 0
+		for (let tries = 0, shrunk = true; shrunk && tries < max_shrinks;) {
+			shrunk = false
+			for (const c of t.shrinks()) {
+				const f = property_failure(prop, c.value)
+				if (f) {
+					t = c
+					failure = f
+					shrinks++
+					shrunk = true
+					break
+				}
+				else if (++tries >= max_shrinks) break
+			}
+		}
+		throw new PropertyError(t.value, seed, run, shrinks, failure.error)
+	}
+}
+
+const property_failure = (prop, xs) => {
+	let result
+	try { result = prop(...xs) }
+	catch (error) { return { error } }
+	if (result && typeof result.then === 'function')
+		throw new TypeError('for_all properties must be synchronous, but prop returned a promise')
+	return result === false ? {} : null
+}
+
+export const StopIteration = Symbol()
+
+export const isIterable = x => x !== null && x !== undefined && x[Symbol.iterator] instanceof Function
+
+export const iter = x => x[Symbol.iterator]()
+
+export const inside = xs => x => {
+	if (xs === null || xs === undefined) return false
+	switch (xs.constructor) {
+		case Array:
+		case String:
+		case Range:
+		case IntervalSet:
+			return xs.includes(x)
+
+		case Set:
+		case Map:
+		case HashSet:
+		case HashMap:
+			return xs.has(x)
+
+		case Object:
+			return xs.hasOwnProperty(x)
+
+		default:
+			return false
+	}
+}
+
+export const outside = B1(not)(inside)
+
+export const has = C(inside)
+
+export const hasnt = C(outside)
+
+export const flatten = n => function* (xs) {
+	for (const x of xs)
+		if (n > 0 && isIterable(x)) yield* flatten(n-1)(x)
+		else yield x
+}
+
+export const flatten_until = f => function* (xs) {
+	for (const x of xs)
+		if (f(x)) yield x
+		else yield* flatten_until(f)(x)
+}
+
+export function* enumerate (xs) { let i = 0 ; for (const x of xs) yield [i++, x] }
+
+export function* zip(...xss) {
+	if (xss.length === 0) return
+	const iterators = xss.map(iter)
+	try {
+		while (true) {
+			const ys = []
+			for (const iterator of iterators) {
+				const y = iterator.next()
+				if (y.done) return
+				ys.push(y.value)
+			}
+			yield ys
+		}
+	} finally {
+		for (const iterator of iterators) iterator.return?.()
+	}
+}
+
+export const zip_with = f => function* (...xss) { for (const ys of zip(...xss)) yield f(...ys) }
+
+export const zip_longest = (fill=undefined) => function* (...xss) {
+	const iterators = xss.map(iter)
+	const done = iterators.map(K(false))
+	try {
+		while (true) {
+			const ys = []
+			for (let i = 0; i < iterators.length; i++) {
+				const y = done[i] ? { done: true } : iterators[i].next()
+				if (y.done) done[i] = true
+				ys.push(y.done ? fill : y.value)
+			}
+			if (done.every(I)) return
+			yield ys
+		}
+	} finally {
+		for (const iterator of iterators) iterator.return?.()
+	}
+}
+
+export const unzip = (xss, fill=undefined) => {
+	const yss = []
+	let n = 0
+	for (const xs of xss) {
+		const row = Array.from(xs)
+		for (let i = yss.length; i < row.length; i++) yss.push(construct(K(fill), n))
+		for (let i = 0; i < yss.length; i++) yss[i].push(i < row.length ? row[i] : fill)
+		n++
+	}
+	return yss
+}
+
+export const chunk = n => function* (xs) {
+	if (!(n >= 1)) throw new RangeError(`Chunk size must be at least 1, got ${n}`)
+	if (Array.isArray(xs)) {
+		for (let i = 0; i < xs.length; i += n) yield xs.slice(i, i + n)
+		return
+	}
+	let ys = []
+	for (const x of xs) {
+		ys.push(x)
+		if (ys.length === n) {
+			yield ys
+			ys = []
+		}
+	}
+	if (ys.length > 0) yield ys
+}
+
+export const windowed = (n, step=1) => function* (xs) {
+	if (!(n >= 1) || !(step >= 1)) throw new RangeError(`Window size and step must be at least 1, got ${n} and ${step}`)
+	if (Array.isArray(xs)) {
+		for (let i = 0; i + n <= xs.length; i += step) yield xs.slice(i, i + n)
+		return
+	}
+	let ys = []
+	let skip = 0
+	for (const x of xs) {
+		if (skip > 0) {
+			skip--
+			continue
+		}
+		ys.push(x)
+		if (ys.length === n) {
+			yield ys
+			ys = ys.slice(step)
+			skip = Math.max(0, step - n)
+		}
+	}
+}
+
+export const pairwise = xs => windowed(2)(xs)
+
+export const partition_by = f => function* (xs) {
+	let ys = []
+	let key
+	for (const x of xs) {
+		const k = f(x)
+		if (ys.length > 0 && !equal(key, k)) {
+			yield ys
+			ys = []
+		}
+		ys.push(x)
+		key = k
+	}
+	if (ys.length > 0) yield ys
+}
+
+export const split_when = f => function* (xs) {
+	if (Array.isArray(xs)) {
+		let start = 0
+		for (let i = 1; i < xs.length; i++)
+			if (f(xs[i - 1], xs[i])) {
+				yield xs.slice(start, i)
+				start = i
+			}
+		if (xs.length > 0) yield xs.slice(start)
+		return
+	}
+	let ys = []
+	for (const x of xs) {
+		if (ys.length > 0 && f(ys[ys.length - 1], x)) {
+			yield ys
+			ys = []
+		}
+		ys.push(x)
+	}
+	if (ys.length > 0) yield ys
+}
+
+export const foldl = f => i => xs => { let a = i ; for (const x of xs) a = f(a)(x) ; return a }
+export const foldr = f => i => xs => { let a = i ; for (const x of xs) a = f(x)(a) ; return a }
+
+export const scanl = f => i => function* (xs) {
+	let a = i
+	for (const x of xs) {
+		a = f(a)(x)
+		yield a
+	}
+}
+export const scanr = f => i => function* (xs) {
+	let a = i
+	for (const x of xs) {
+		a = f(x)(a)
+		yield a
+	}
+}
+
+export const map = f => function* (xs) { for (const x of xs) yield f(x) }
+
+export const bind = f => xs => {
+	if (xs.then) return xs.then(f)
+	else if (xs.flatMap) return xs.flatMap(f)
+	else return flatten(1)(map(f)(xs))
+}
+
+export const filter = f => function* (xs) { for (const x of xs) if (f(x)) yield x }
+
+export const find = f => xs => { for (const x of xs) if (f(x)) return x ; return null }
+
+export const find_many = (...fs) => foldr(x => tap(xs => {
 	const i = fs.findIndex(T(x))
 	if (i === -1) return xs
 	xs[i] = x
@@ -496,14 +1633,120 @@ export const each = f => tap(xs => { for (const x of xs) f(x) })
 export const apply = B(map)(T)
 
 export const limit = n => function* (xs) {
+	if (n <= 0) return
 	let i = 0
 	for (const x of xs) {
 		yield x
 		i++
-		if (i === n) break
+		if (i >= n) break
 	}
 }
 
+export const take_while = f => function* (xs) {
+	for (const x of xs)
+		if (f(x)) yield x
+		else return
+}
+
+export const drop_while = f => function* (xs) {
+	let dropping = true
+	for (const x of xs)
+		if (!dropping || !f(x)) {
+			dropping = false
+			yield x
+		}
+}
+
+export const drop = n => function* (xs) {
+	let i = 0
+	for (const x of xs)
+		if (i < n) i++
+		else yield x
+}
+
+export const split_at = n => xs => {
+	const iterator = iter(xs)
+	const buffer = []
+	let read = 0
+	let done = false
+	const next = () => {
+		const x = iterator.next()
+		if (x.done) done = true
+		else read++
+		return x
+	}
+	function* head() {
+		while (buffer.length > 0 || (read < n && !done)) {
+			if (buffer.length > 0) yield buffer.shift()
+			else {
+				const x = next()
+				if (!x.done) yield x.value
+			}
+		}
+	}
+	function* rest() {
+		while (read < n && !done) {
+			const x = next()
+			if (!x.done) buffer.push(x.value)
+		}
+		while (!done) {
+			const x = next()
+			if (!x.done) yield x.value
+		}
+	}
+	return [head(), rest()]
+}
+
+export function* cycle(xs) {
+	const ys = []
+	for (const x of xs) {
+		ys.push(x)
+		yield x
+	}
+	if (ys.length === 0) return
+	while (true) yield* ys
+}
+
+export function* repeat(x, n=Infinity) { for (let i = 0; i < n; i++) yield x }
+
+export function* interleave(...xss) {
+	let iterators = xss.map(iter)
+	try {
+		while (iterators.length > 0) {
+			const active = []
+			for (const iterator of iterators) {
+				const x = iterator.next()
+				if (x.done) continue
+				active.push(iterator)
+				yield x.value
+			}
+			iterators = active
+		}
+	} finally {
+		for (const iterator of iterators) iterator.return?.()
+	}
+}
+
+export const intersperse = sep => function* (xs) {
+	let first = true
+	for (const x of xs) {
+		if (!first) yield sep
+		first = false
+		yield x
+	}
+}
+
+export const last_n = n => function* (xs) {
+	if (n <= 0) return
+	const ys = []
+	let i = 0
+	for (const x of xs) {
+		ys[i % n] = x
+		i++
+	}
+	for (let j = Math.max(0, i - n); j < i; j++) yield ys[j % n]
+}
+
 export function* ungroup(x) {
 	if (Array.isArray(x)) yield* x
 	else for (const v of Object.values(x))
@@ -546,9 +1789,15 @@ export function len(x) {
 
 		case Map:
 		case Set:
+		case HashMap:
+		case HashSet:
 			return x.size
 			break
 
+		case Range:
+			return x.length
+			break
+
 		case Object:
 			return Object.keys(x).length
 			break
@@ -610,6 +1859,321 @@ export function* plist_to_alist(xs) {
 		else last = x
 }
 
+export class RunningStats {
+	constructor() {
+		this.count = 0
+		this.mean = NaN
+		this.m2 = 0
+		this.min = NaN
+		this.max = NaN
+	}
+
+	static from(xs, key=I) {
+		const stats = new RunningStats()
+		for (const x of xs) stats.push(key(x))
+		return stats
+	}
+
+	push(x) {
+		const mean = this.count === 0 ? 0 : this.mean
+		this.count++
+		this.mean = mean + (x - mean) / this.count
+		this.m2 += (x - mean) * (x - this.mean)
+		this.min = this.count === 1 ? x : Math.min(this.min, x)
+		this.max = this.count === 1 ? x : Math.max(this.max, x)
+		return this
+	}
+
+	variance({ sample=true }={}) {
+		return this.count === 0 ? NaN : this.m2 / (this.count - Number(sample))
+	}
+
+	stddev(options) {
+		return Math.sqrt(this.variance(options))
+	}
+}
+
+export const variance = (key=I, { sample=true }={}) => xs => RunningStats.from(xs, key).variance({ sample })
+export const stddev = (key=I, { sample=true }={}) => xs => RunningStats.from(xs, key).stddev({ sample })
+
+export const percentile = (p, key=I, { interpolation='linear' }={}) => xs =>
+	quantile_(sorted_numbers(key, xs), p / 100, interpolation)
+
+export const quantiles = (n, key=I, { interpolation='linear' }={}) => xs => {
+	const ys = sorted_numbers(key, xs)
+	return construct(i => quantile_(ys, (i + 1) / n, interpolation), n - 1)
+}
+
+export const median = (key=I) => percentile(50, key)
+
+const sorted_numbers = (key, xs) => Array.from(xs, x => key(x)).sort((a, b) => a - b)
+
+const quantile_ = (xs, q, interpolation) => {
+	if (xs.length === 0) return NaN
+	const h = (xs.length - 1) * q
+	const a = xs[Math.floor(h)]
+	const b = xs[Math.ceil(h)]
+	switch (interpolation) {
+		case 'linear': return a + (h - Math.floor(h)) * (b - a)
+		case 'lower': return a
+		case 'higher': return b
+		case 'nearest': return xs[Math.round(h)]
+		case 'midpoint': return (a + b) / 2
+		default: throw new Error(`Unknown interpolation ${interpolation}`)
+	}
+}
+
+export const mode = (key=I) => xs => {
+	const counts = new Map()
+	for (const x of xs) {
+		const k = key(x)
+		counts.set(k, (counts.get(k) ?? 0) + 1)
+	}
+	let best = null
+	let best_count = 0
+	for (const [k, n] of counts)
+		if (n > best_count) {
+			best = k
+			best_count = n
+		}
+	return best
+}
+
+export const histogram = (bins, key=I) => xs => {
+	const ys = Array.from(xs, x => key(x))
+	let edges = bins
+	if (typeof bins === 'number') {
+		const { min, max } = RunningStats.from(ys)
+		edges = construct(i => i === bins ? max : min + (max - min) * i / bins, bins + 1)
+	}
+	const counts = construct(K(0), edges.length - 1)
+	for (const y of ys) {
+		if (!(y >= edges[0] && y <= edges[edges.length - 1])) continue
+		counts[Math.min(bisect(edges, gt(y)), edges.length - 1) - 1]++
+	}
+	return counts.map((count, i) => ({
+		range: new Range(edges[i], edges[i + 1], { bounds: i === counts.length - 1 ? '[]' : '[)' }),
+		count,
+	}))
+}
+
+export const covariance = (fx=first, fy=second, { sample=true }={}) => xs => {
+	const { n, c } = comoments(fx, fy, xs)
+	return n === 0 ? NaN : c / (n - Number(sample))
+}
+
+export const correlation = (fx=first, fy=second) => xs => {
+	const { c, m2x, m2y } = comoments(fx, fy, xs)
+	return c / Math.sqrt(m2x * m2y)
+}
+
+const comoments = (fx, fy, xs) => {
+	let n = 0, mx = 0, my = 0, c = 0, m2x = 0, m2y = 0
+	for (const v of xs) {
+		const x = fx(v)
+		const y = fy(v)
+		n++
+		const dx = x - mx
+		const dy = y - my
+		mx += dx / n
+		my += dy / n
+		c += dx * (y - my)
+		m2x += dx * (x - mx)
+		m2y += dy * (y - my)
+	}
+	return { n, c, m2x, m2y }
+}
+
+export class Seq {
+	constructor(xs) {
+		this.xs = xs
+	}
+
+	static from(xs) {
+		return new Seq(xs)
+	}
+
+	[Symbol.iterator]() {
+		return iter(this.xs)
+	}
+
+	pipe(...fs) {
+		const xs = this.xs
+		return new Seq({ [Symbol.iterator]: () => iter(pipe(xs, ...fs)) })
+	}
+
+	map(f) { return this.pipe(map(f)) }
+	filter(f) { return this.pipe(filter(f)) }
+	bind(f) { return this.pipe(map(f), flatten(1)) }
+	flatten(n=1) { return this.pipe(flatten(n)) }
+	enumerate() { return this.pipe(enumerate) }
+	scanl(f, i) { return this.pipe(scanl(f)(i)) }
+	scanr(f, i) { return this.pipe(scanr(f)(i)) }
+	take(n) { return this.pipe(limit(n)) }
+
+	toArray() { return Array.from(this.xs) }
+	toSet() { return new Set(this.xs) }
+	foldl(f, i) { return foldl(f)(i)(this.xs) }
+	foldr(f, i) { return foldr(f)(i)(this.xs) }
+	find(f) { return find(f)(this.xs) }
+	every(f) { return every(f)(this.xs) }
+	some(f) { return some(f)(this.xs) }
+	sum() { return sum(this.xs) }
+	average() { return average(this.toArray()) }
+	maximum(key=I) { return maximum(key)(this.xs) }
+	minimum(key=I) { return minimum(key)(this.xs) }
+	group(...fs) { return group(...fs)(this.xs) }
+	count() { return count(this.xs) }
+	len() { return len(this.xs) }
+	join(d) { return join(d)(this.xs) }
+	each(f) { for (const x of this.xs) f(x) ; return this }
+}
+
+class Reduced {
+	constructor(x) {
+		this.value = x
+	}
+}
+
+export const reduced = x => new Reduced(x)
+
+export const transduce = (xf, f, i, xs) => {
+	const g = xf(f)
+	let a = i
+	for (const x of xs) {
+		a = g(a)(x)
+		if (a instanceof Reduced) return a.value
+	}
+	return a
+}
+
+export const into = (target, xf, xs) => {
+	switch (target.constructor) {
+		case Array: return transduce(xf, C(array_push), Array.from(target), xs)
+		case Set: return transduce(xf, a => x => a.add(x), new Set(target), xs)
+		case Map: return transduce(xf, a => ([k, v]) => a.set(k, v), new Map(target), xs)
+		case String: return transduce(xf, a => x => a + x, target, xs)
+		default: return transduce(xf, a => ([k, v]) => tap(o => o[k] = v)(a), { ...target }, xs)
+	}
+}
+
+export const tcompose = (...xfs) => f => xfs.reduceRight((a, xf) => xf(a), f)
+
+export const tmap = f => r => a => x => r(a)(f(x))
+
+export const tfilter = f => r => a => x => f(x) ? r(a)(x) : a
+
+export const tlimit = n => r => {
+	let i = 0
+	return a => x => {
+		if (i++ >= n) return reduced(a)
+		const b = r(a)(x)
+		return i >= n && !(b instanceof Reduced) ? reduced(b) : b
+	}
+}
+
+export const tflatten = n => r => {
+	const step = n > 1 ? tflatten(n-1)(r) : r
+	return a => x => {
+		if (n <= 0 || !isIterable(x)) return r(a)(x)
+		for (const y of x) {
+			a = step(a)(y)
+			if (a instanceof Reduced) return a
+		}
+		return a
+	}
+}
+
+export const tenumerate = r => {
+	let i = 0
+	return a => x => r(a)([i++, x])
+}
+
+export const tscanl = f => i => r => {
+	let acc = i
+	return a => x => r(a)(acc = f(acc)(x))
+}
+
+export const aiter = x => x[Symbol.asyncIterator] instanceof Function ? x[Symbol.asyncIterator]() : iter(x)
+
+export const acollect = async xs => {
+	const ys = []
+	for await (const x of xs) ys.push(x)
+	return ys
+}
+
+export const amap = (f, { concurrency=1, ordered=true }={}) => async function* (xs) {
+	const it = aiter(xs)
+	const pending = new Map()
+	const ready = new Map()
+	let i = 0
+	let j = 0
+	let done = false
+	try {
+		while (true) {
+			while (!done && pending.size + ready.size < concurrency) {
+				const x = await it.next()
+				if (x.done) done = true
+				else {
+					const k = i++
+					pending.set(k, Promise.resolve(x.value).then(f).then(v => [k, v]))
+				}
+			}
+			if (pending.size === 0) return
+			const [k, v] = await Promise.race(pending.values())
+			pending.delete(k)
+			if (!ordered) yield v
+			else {
+				ready.set(k, v)
+				while (ready.has(j)) {
+					yield ready.get(j)
+					ready.delete(j++)
+				}
+			}
+		}
+	} finally {
+		for (const p of pending.values()) p.catch(K())
+		if (!done) await it.return?.()
+	}
+}
+
+export const afilter = f => async function* (xs) { for await (const x of xs) if (await f(x)) yield x }
+
+export const alimit = n => async function* (xs) {
+	if (n <= 0) return
+	let i = 0
+	for await (const x of xs) {
+		yield x
+		if (++i >= n) return
+	}
+}
+
+export async function* aenumerate (xs) { let i = 0 ; for await (const x of xs) yield [i++, x] }
+
+export const afoldl = f => i => async xs => { let a = i ; for await (const x of xs) a = await f(a)(x) ; return a }
+export const afoldr = f => i => async xs => { let a = i ; for await (const x of xs) a = await f(x)(a) ; return a }
+
+export const ascanl = f => i => async function* (xs) {
+	let a = i
+	for await (const x of xs) {
+		a = await f(a)(x)
+		yield a
+	}
+}
+export const ascanr = f => i => async function* (xs) {
+	let a = i
+	for await (const x of xs) {
+		a = await f(x)(a)
+		yield a
+	}
+}
+
+export const afind = f => async xs => { for await (const x of xs) if (await f(x)) return x ; return null }
+
+export const aevery = f => async xs => { for await (const x of xs) if (!(await f(x))) return false ; return true }
+
+export const asome = f => async xs => { for await (const x of xs) if (await f(x)) return true ; return false }
+
 export const sleep = x => new Promise(f => setTimeout(f, x))
 
 export const then = f => x => x.then(f)
@@ -621,13 +2185,206 @@ export const cache = f => {
 	return () => cached || f().then(x => cached = Promise.resolve(x))
 }
 
-export const memo = f => {
-	const cache = new Map()
-	return (...xs) => {
-		const tup = tuple(...xs)
-		if (!cache.has(tup)) cache.set(tup, f(...xs))
-		return cache.get(tup)
+export const memo = (f, { max=Infinity, ttl=Infinity, key=null, now=Date.now }={}) => {
+	let root = trie_node(null, null)
+	const recent = new Map()
+	const expiring = new Map()
+	let hits = 0
+	let misses = 0
+	let size = 0
+
+	const remove = node => {
+		node.has = false
+		node.value = undefined
+		recent.delete(node)
+		expiring.delete(node)
+		size--
+		trie_prune(node)
+	}
+
+	const sweep = () => {
+		for (const node of expiring.keys())
+			if (now() - node.time >= ttl) remove(node)
+			else break
+	}
+
+	const g = (...xs) => {
+		const ks = key ? [key(...xs)] : xs
+		let node = trie_path(root, ks, true)
+		if (node.has && ttl < Infinity && now() - node.time >= ttl) remove(node)
+		if (node.has) {
+			hits++
+			if (max < Infinity) {
+				recent.delete(node)
+				recent.set(node, true)
+			}
+		} else {
+			misses++
+			if (ttl < Infinity) {
+				sweep()
+				// removing stale results may have pruned this node from the trie
+				node = trie_path(root, ks, true)
+			}
+			node.value = f(...xs)
+			node.has = true
+			node.time = ttl < Infinity ? now() : 0
+			if (ttl < Infinity) expiring.set(node, true)
+			size++
+			if (max < Infinity) {
+				recent.set(node, true)
+				if (recent.size > max) remove(recent.keys().next().value)
+			}
+		}
+		return node.value
+	}
+
+	g.clear = () => {
+		root = trie_node(null, null)
+		recent.clear()
+		expiring.clear()
+		size = 0
+	}
+
+	g.delete = (...xs) => {
+		const node = trie_path(root, key ? [key(...xs)] : xs, false)
+		if (node && node.has) remove(node)
+	}
+
+	g.stats = () => ({ hits, misses, size })
+
+	return g
+}
+
+const trie_node = (parent, key) => ({ parent, key, strong: null, weak: null, has: false, value: undefined })
+
+const is_weak_key = x => (typeof x === 'object' && x !== null) || typeof x === 'function'
+
+function trie_path(node, ks, create) {
+	for (const k of ks) {
+		const weak = is_weak_key(k)
+		let children = weak ? node.weak : node.strong
+		if (!children) {
+			if (!create) return null
+			children = weak ? (node.weak = new WeakMap()) : (node.strong = new Map())
+		}
+		let child = children.get(k)
+		if (!child) {
+			if (!create) return null
+			child = weak ? trie_node(null, null) : trie_node(node, k)
+			children.set(k, child)
+		}
+		node = child
 	}
+	return node
+}
+
+function trie_prune(node) {
+	while (node.parent && !node.has && !node.weak && !(node.strong && node.strong.size)) {
+		node.parent.strong.delete(node.key)
+		node = node.parent
+	}
+}
+
+export class RetryError extends Error {
+	constructor(reason, errors) {
+		super(reason === 'exhausted'
+			? `Gave up after ${errors.length} attempts`
+			: `Gave up on an error that is not retryable after ${errors.length} attempts`)
+		this.name = 'RetryError'
+		this.reason = reason
+		this.attempts = errors.length
+		this.errors = errors
+		this.cause = last(errors)
+	}
+}
+
+export class CircuitOpenError extends Error {
+	constructor(failures, retry_at, cause) {
+		super(`Circuit is open after ${failures} failures`)
+		this.name = 'CircuitOpenError'
+		this.failures = failures
+		this.retry_at = retry_at
+		this.cause = cause
+	}
+}
+
+export const retry = ({
+	times=3,
+	delay=100,
+	backoff='exponential',
+	max_delay=Infinity,
+	jitter=false,
+	when=K(true),
+	sleep: wait=sleep,
+	random=Math.random,
+}={}) => f => async (...xs) => {
+	const errors = []
+	for (let n = 1; ; n++) {
+		try {
+			return await f(...xs)
+		} catch (e) {
+			errors.push(e)
+			if (!when(e, n)) throw new RetryError('not_retryable', errors)
+			else if (n > times) throw new RetryError('exhausted', errors)
+			const ms = Math.min(max_delay, backoff_delay(backoff, delay, n))
+			await wait(ms - ms * Number(jitter) * random())
+		}
+	}
+}
+
+function backoff_delay(backoff, delay, n) {
+	if (backoff instanceof Function) return backoff(n)
+	switch (backoff) {
+		case 'constant': return delay
+		case 'linear': return delay * n
+		case 'exponential': return delay * 2**(n-1)
+		default: throw new Error(`Unknown backoff ${backoff}`)
+	}
+}
+
+export const timeout = ms => f => (...xs) => Task.fromPromise(() => f(...xs)).timeout(ms).run()
+
+export const with_fallback = g => f => async (...xs) => {
+	try { return await f(...xs) }
+	catch (e) { return g(e, ...xs) }
+}
+
+export const circuit_breaker = ({ threshold=5, reset=30000, when=K(true), now=Date.now }={}) => f => {
+	let failures = 0
+	let opened = null
+	let trying = false
+	let cause = null
+
+	const g = async (...xs) => {
+		if (opened !== null) {
+			if (trying || now() - opened < reset)
+				throw new CircuitOpenError(failures, opened + reset, cause)
+			trying = true
+		}
+		try {
+			const x = await f(...xs)
+			failures = 0
+			opened = null
+			return x
+		} catch (e) {
+			if (when(e)) {
+				failures++
+				cause = e
+				if (opened !== null || failures >= threshold) opened = now()
+			}
+			throw e
+		} finally {
+			trying = false
+		}
+	}
+
+	g.state = () => {
+		if (opened === null) return 'closed'
+		else if (trying || now() - opened >= reset) return 'half_open'
+		else return 'open'
+	}
+
+	return g
 }
 
 export const next_tick = f => setTimeout(f, 0)
@@ -710,14 +2467,316 @@ export function throttle(f, n=300) {
     }
 }
 
+export class TimeoutError extends Error {
+	constructor(ms) {
+		super(`Timed out after ${ms}ms`)
+		this.name = 'TimeoutError'
+		this.ms = ms
+	}
+}
+
+export class Task {
+	constructor(computation) {
+		this.computation = computation
+	}
+
+	static of(x) { return new Task((_, resolve) => resolve(x)) }
+	static rejected(e) { return new Task(reject => reject(e)) }
+	static fromPromise(f) { return new Task((reject, resolve) => { f().then(resolve, reject) }) }
+
+	static sleep(ms) {
+		return new Task((_, resolve) => {
+			const timer = new Timer(resolve, ms).start()
+			return () => timer.stop()
+		})
+	}
+
+	static race(tasks) {
+		return new Task((reject, resolve) => {
+			const cancels = []
+			const cancel = () => cancels.forEach(T())
+			let done = false
+			const settle = f => x => { done = true ; cancel() ; f(x) }
+			for (const t of tasks) {
+				if (done) break
+				cancels.push(t.fork(settle(reject), settle(resolve)))
+			}
+			return cancel
+		})
+	}
+
+	static all(tasks) {
+		return new Task((reject, resolve) => {
+			tasks = Array.from(tasks)
+			const xs = new Array(tasks.length)
+			const cancels = []
+			const cancel = () => cancels.forEach(T())
+			let left = tasks.length
+			let failed = false
+			if (left === 0) return resolve(xs)
+			tasks.forEach((t, i) => {
+				if (!failed) cancels.push(t.fork(
+					e => { failed = true ; cancel() ; reject(e) },
+					x => { xs[i] = x ; if (--left === 0) resolve(xs) }))
+			})
+			return cancel
+		})
+	}
+
+	fork(reject, resolve) {
+		let done = false
+		const once = f => x => { if (!done) { done = true ; f(x) } }
+		let cancel
+		try { cancel = this.computation(once(reject), once(resolve)) }
+		catch (e) { once(reject)(e) }
+		return () => {
+			if (done) return
+			done = true
+			if (cancel instanceof Function) cancel()
+		}
+	}
+
+	run(signal) {
+		return new Promise((resolve, reject) => {
+			if (signal && signal.aborted) return reject(signal.reason)
+			let settled = false
+			const abort = () => { cancel() ; reject(signal.reason) }
+			const settle = f => x => {
+				settled = true
+				if (signal) signal.removeEventListener('abort', abort)
+				f(x)
+			}
+			const cancel = this.fork(settle(reject), settle(resolve))
+			if (signal && !settled) signal.addEventListener('abort', abort, { once: true })
+		})
+	}
+
+	map(f) {
+		return new Task((reject, resolve) =>
+			this.fork(reject, x => Result.tryCatch(f, x).fold(reject, resolve)))
+	}
+
+	chain(f) {
+		return then_task(this, f, false)
+	}
+
+	flatMap(f) {
+		return this.chain(x => { const y = f(x) ; return y instanceof Task ? y : Task.of(y) })
+	}
+
+	orElse(f) {
+		return then_task(this, f, true)
+	}
+
+	timeout(ms) {
+		return Task.race([ this, Task.sleep(ms).chain(() => Task.rejected(new TimeoutError(ms))) ])
+	}
+}
+
+function then_task(task, f, rejected) {
+	return new Task((reject, resolve) => {
+		let inner = null
+		const next = x => Result.tryCatch(f, x).fold(reject, t => {
+			if (t instanceof Task) inner = t.fork(reject, resolve)
+			else reject(new TypeError(`${rejected ? 'orElse' : 'chain'} expected a Task, got ${describe(t)}`))
+		})
+		const outer = rejected ? task.fork(next, resolve) : task.fork(reject, next)
+		return () => { outer() ; if (inner) inner() }
+	})
+}
+
 export function union(sets) {
-	const s = new Set()
+	sets = Array.from(sets)
+	const s = sets.some(instance(HashSet)) ? new HashSet() : new Set()
 	for (const set of sets)
 		for (const x of set)
 			s.add(x)
 	return s
 }
 
+export const hash = x => hash_(x, has_cycle(x, new Set(), new Set()) ? HASH_CYCLIC_DEPTH : Infinity) >>> 0
+
+const HASH_CYCLIC_DEPTH = 4
+
+function hash_(x, depth) {
+	switch (typeof x) {
+		case 'undefined': return 1
+		case 'boolean': return x ? 2 : 3
+		case 'number': return hash_string('n' + (x === 0 ? 0 : x))
+		case 'bigint': return hash_string('b' + x)
+		case 'string': return hash_string('s' + x)
+		case 'symbol': return hash_string('y' + x.description)
+		case 'function': return hash_string('f' + x.name)
+	}
+	if (x === null) return 4
+	else if (depth === 0) return hash_string('c' + (x.constructor ? x.constructor.name : ''))
+	else return hash_object(x, depth - 1)
+}
+
+function hash_object(x, depth) {
+	switch (x.constructor) {
+		case Array: {
+			let h = 6
+			for (let i = 0; i < x.length; i++) h = hash_mix(h, hash_(x[i], depth))
+			return h
+		}
+
+		case Map: {
+			let h = 7
+			for (const [k, v] of x) h = (h + hash_mix(hash_(k, depth), hash_(v, depth))) | 0
+			return h
+		}
+
+		case Set: {
+			let h = 8
+			for (const y of x) h = (h + hash_(y, depth)) | 0
+			return h
+		}
+
+		case Date: return hash_string('d' + x.getTime())
+		case RegExp: return hash_string('r' + x.source + '/' + x.flags)
+		case Number:
+		case String:
+		case Boolean: return hash_mix(9, hash_(x.valueOf(), depth))
+		case ArrayBuffer: return hash_bytes(10, new Uint8Array(x))
+		case DataView: return hash_bytes(11, new Uint8Array(x.buffer, x.byteOffset, x.byteLength))
+
+		default: {
+			const name = x.constructor ? x.constructor.name : ''
+			if (ArrayBuffer.isView(x))
+				return x.reduce((h, y) => hash_mix(h, hash_(y, depth)), hash_string('t' + name))
+			let h = hash_string('o' + name)
+			if (x instanceof Error)
+				h = hash_mix(hash_mix(hash_mix(h, hash_(x.name, depth)), hash_(x.message, depth)), hash_(x.cause, depth))
+			for (const k of Object.keys(x)) h = (h + hash_mix(hash_string(k), hash_(x[k], depth))) | 0
+			return h
+		}
+	}
+}
+
+// whether x reaches itself, or any object on the path to it
+function has_cycle(x, path, done) {
+	if (x === null || typeof x !== 'object' || done.has(x)) return false
+	else if (path.has(x)) return true
+	path.add(x)
+	let ys
+	switch (x.constructor) {
+		case Array: ys = Array.from(x); break
+		case Map: ys = Array.from(x).flat(); break
+		case Set: ys = Array.from(x); break
+		case Date:
+		case RegExp:
+		case Number:
+		case String:
+		case Boolean:
+		case ArrayBuffer:
+		case DataView: ys = []; break
+		default: ys = ArrayBuffer.isView(x) ? [] : x instanceof Error ? [x.cause, ...Object.values(x)] : Object.values(x)
+	}
+	const cyclic = ys.some(y => has_cycle(y, path, done))
+	path.delete(x)
+	done.add(x)
+	return cyclic
+}
+
+const hash_mix = (h, x) => (Math.imul(h, 31) + x) | 0
+
+function hash_string(x) {
+	let h = 0x811c9dc5
+	for (let i = 0; i < x.length; i++)
+		h = Math.imul(h ^ x.charCodeAt(i), 0x01000193)
+	return h | 0
+}
+
+const hash_bytes = (h, xs) => xs.reduce(hash_mix, h)
+
+export class HashMap {
+	constructor(entries=[]) {
+		this.buckets = new Map()
+		this.map = new Map()
+		for (const [k, v] of entries) this.set(k, v)
+	}
+
+	static group(...fs) {
+		return xs => {
+			if (fs.length === 0) return xs
+			const groups = new HashMap()
+			for (const x of xs) {
+				const k = first(fs)(x)
+				if (!groups.has(k)) groups.set(k, [])
+				groups.get(k).push(x)
+			}
+			for (const [k, v] of groups) groups.set(k, HashMap.group(...tail(fs))(v))
+			return groups
+		}
+	}
+
+	get size() { return this.map.size }
+
+	lookup(k) {
+		const h = hash(k)
+		const bucket = this.buckets.get(h)
+		const i = bucket === undefined ? -1 : bucket.findIndex(x => equal(x, k))
+		return i === -1 ? null : { h, bucket, i, key: bucket[i] }
+	}
+
+	has(k) { return this.lookup(k) !== null }
+
+	get(k) {
+		const x = this.lookup(k)
+		return x === null ? undefined : this.map.get(x.key)
+	}
+
+	set(k, v) {
+		const x = this.lookup(k)
+		if (x !== null) this.map.set(x.key, v)
+		else {
+			const h = hash(k)
+			if (!this.buckets.has(h)) this.buckets.set(h, [])
+			this.buckets.get(h).push(k)
+			this.map.set(k, v)
+		}
+		return this
+	}
+
+	delete(k) {
+		const x = this.lookup(k)
+		if (x === null) return false
+		x.bucket.splice(x.i, 1)
+		if (x.bucket.length === 0) this.buckets.delete(x.h)
+		return this.map.delete(x.key)
+	}
+
+	clear() {
+		this.buckets.clear()
+		this.map.clear()
+	}
+
+	keys() { return this.map.keys() }
+	values() { return this.map.values() }
+	entries() { return this.map.entries() }
+	forEach(f, that) { this.map.forEach((v, k) => f.call(that, v, k, this)) }
+	[Symbol.iterator]() { return this.map[Symbol.iterator]() }
+}
+
+export class HashSet {
+	constructor(xs=[]) {
+		this.map = new HashMap()
+		for (const x of xs) this.add(x)
+	}
+
+	get size() { return this.map.size }
+	add(x) { if (!this.map.has(x)) this.map.set(x, x) ; return this }
+	has(x) { return this.map.has(x) }
+	delete(x) { return this.map.delete(x) }
+	clear() { this.map.clear() }
+	values() { return this.map.keys() }
+	keys() { return this.map.keys() }
+	entries() { return map(x => [x, x])(this.map.keys()) }
+	forEach(f, that) { for (const x of this) f.call(that, x, x, this) }
+	[Symbol.iterator]() { return this.map.keys() }
+}
+
 export const $ = (q, dom=document) => dom.querySelector(q)
 export const $$ = (q, dom=document) => Array.from(dom.querySelectorAll(q))
 export const on_enter = when(x => x.keyCode === 13)
@@ -751,6 +2810,16 @@ Duad.is = a => b => first(a) === first(b) && second(a) === second(b)
 
 Duad.flip = Su(Duad, second, first)
 
+Duad.zip = (a, b) => zip(a, b)
+Duad.unzip = xs => {
+	const ys = [[], []]
+	for (const x of xs) {
+		ys[0].push(x[0])
+		ys[1].push(x[1])
+	}
+	return ys
+}
+
 export const split = a => b => b.split(a)
 
 export const trim = x => x.trim()
@@ -776,58 +2845,122 @@ export function assert(condition, msg='Assert failed') {
 	else return condition
 }
 
-const TupleMap = new Map()
-TupleMap.tuple = []
+const tuples = new WeakSet()
+const TupleTrie = trie_node(null, null)
 
 export function tuple(...xs) {
-	let map = TupleMap
-	for (let i = 0, len = xs.length; i < len; i++) {
-		const x = xs[i]
-		if (!map.has(x)) map.set(x, new Map())
-		map = map.get(x)
+	return intern(TupleTrie, xs.map(deep_intern), ys => tap(x => tuples.add(x))(Object.freeze(ys)))
+}
+
+export const is_tuple = x => tuples.has(x)
+
+const interned = new FinalizationRegistry(node => {
+	if (node.has && node.value.deref() === undefined) {
+		node.has = false
+		node.value = undefined
+		trie_prune(node)
 	}
-	if (map.tuple === undefined)
-		map.tuple = xs
-	return map.tuple
+})
+
+function intern(root, ks, make) {
+	const node = trie_path(root, ks, true)
+	const x = node.has ? node.value.deref() : undefined
+	if (x !== undefined) return x
+	const y = make(ks)
+	node.has = true
+	node.value = new WeakRef(y)
+	interned.register(y, node)
+	return y
 }
 
-const RecordMap = new Map()
-RecordMap.record = {}
+function deep_intern(x) {
+	if (x === null || x === undefined || tuples.has(x) || records.has(x)) return x
+	switch (x.constructor) {
+		case Array: return tuple(...x)
+		case Object: return record(x)
+		default: return x
+	}
+}
+
+const records = new WeakSet()
+const RecordTrie = trie_node(null, null)
 
 export function record(x={}) {
-	let map = RecordMap
-	const keys = Object.keys(x).sort()
-	for (let i = 0, len = keys.length; i < len; i++) {
-		const k = keys[i]
-		const v = x[k]
-		if (!map.has(k)) map.set(k, new Map())
-		map = map.get(k)
-		if (!map.has(v)) map.set(v, new Map())
-		map = map.get(v)
-	}
-	if (map.record === undefined)
-		map.record = x
-	return map.record
+	const ks = []
+	for (const k of Object.keys(x).sort())
+		ks.push(k, deep_intern(x[k]))
+	return intern(RecordTrie, ks, ks => tap(x => records.add(x))(Object.freeze(Object.fromEntries(plist_to_alist(ks)))))
 }
 
-function diff(a, b) {
-	const c = {}
-	for (const k of Object.keys(a)) {
-		if (!b.hasOwnProperty(k)) c[k] = undefined
-		else if (a[k] === b[k]) continue
-		else if (typeof a[k] !== typeof b[k]) c[k] = b[k]
-		else if (typeof a[k] === 'object') {
-			const sub = patch(a[k], b[k])
-			if (Object.keys(sub).length)
-				c[k] = sub
+export const is_record = x => records.has(x)
+
+export const diff = (a, b) => diff_(a, b, [])
+
+function diff_(a, b, path) {
+	if (a === b) return []
+	else if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object' || a.constructor !== b.constructor)
+		return [{ op: 'replace', path, from: a, to: b }]
+
+	const changes = []
+	switch (a.constructor) {
+		case Object:
+			for (const k of Object.keys(a))
+				if (!b.hasOwnProperty(k)) changes.push({ op: 'delete', path: [...path, k], value: a[k] })
+				else changes.push(...diff_(a[k], b[k], [...path, k]))
+			for (const k of Object.keys(b))
+				if (!a.hasOwnProperty(k)) changes.push({ op: 'add', path: [...path, k], value: b[k] })
+			return changes
+
+		case Array: {
+			const n = Math.min(a.length, b.length)
+			for (let i = 0; i < n; i++)
+				changes.push(...diff_(a[i], b[i], [...path, i]))
+			for (let i = a.length - 1; i >= n; i--)
+				changes.push({ op: 'delete', path: [...path, i], value: a[i] })
+			for (let i = n; i < b.length; i++)
+				changes.push({ op: 'add', path: [...path, i], value: b[i] })
+			return changes
 		}
-		else c[k] = b[k]
-	}
 
-	for (const k of Object.keys(b)) {
-		if (!a.hasOwnProperty(k))
-			c[k] = b[k]
+		case Map:
+			for (const [k, v] of a)
+				if (!b.has(k)) changes.push({ op: 'delete', path: [...path, k], value: v })
+				else changes.push(...diff_(v, b.get(k), [...path, k]))
+			for (const [k, v] of b)
+				if (!a.has(k)) changes.push({ op: 'add', path: [...path, k], value: v })
+			return changes
+
+		case Set:
+			for (const x of a)
+				if (!b.has(x)) changes.push({ op: 'set_delete', path, value: x })
+			for (const x of b)
+				if (!a.has(x)) changes.push({ op: 'set_add', path, value: x })
+			return changes
+
+		default:
+			return equal(a, b) ? [] : [{ op: 'replace', path, from: a, to: b }]
 	}
+}
 
-	return c
+export const patch = d => x => foldl(patch_)(x)(d)
+
+const patch_ = x => change => {
+	const { op, path } = change
+	switch (op) {
+		case 'set_add': return update_in(...path)(assoc(change.value)(true))(x)
+		case 'set_delete': return update_in(...path)(assoc(change.value)(false))(x)
+		case 'replace': return update_in(...path)(K(change.to))(x)
+		case 'add': return update_in(...head(path))(o => o.constructor === Array
+			? insert_at(last(path), change.value)(o)
+			: assoc(last(path))(change.value)(o))(x)
+		case 'delete': return update_in(...head(path))(dissoc(last(path)))(x)
+	}
 }
+
+export const invert = d => d.map(invert_).reverse()
+
+const invert_ = x => x.op === 'replace'
+	? { op: 'replace', path: x.path, from: x.to, to: x.from }
+	: { op: inverse_op(x.op), path: x.path, value: x.value }
+
+const inverse_op = valmap('add', 'delete', 'delete', 'add', 'set_add', 'set_delete', 'set_delete', 'set_add')
@@ -5,12 +5,16 @@ for (const [k, v] of Object.entries(fpjs))
 import assert from 'assert/strict'
 
 function Test(name, cb) {
-	try {
-		cb()
-	} catch(e) {
+	const fail = e => {
 		console.error('test failed for', name)
 		console.error(e)
 	}
+	try {
+		const x = cb()
+		if (x instanceof Promise) x.catch(fail)
+	} catch(e) {
+		fail(e)
+	}
 }
 
 Test('tap', () => {
@@ -28,6 +32,41 @@ Test('arrow', () => {
 Test('curry', () => {
 	const add = (a,b) => a+b
 	assert.equal(add(1, 2), curry(add)(1)(2))
+	assert.equal(add(1, 2), curry(add)(1, 2))
+	assert.equal(2, curry((...xs) => xs.length)(1)(2))
+	assert.equal(3, curry((a, b=1) => a+b)(1)(2))
+	assert.equal(6, curry((a, b, c) => a+b+c)(1)(2)(3))
+	const f = curryN(3, (a, b, c) => [a, b, c])
+	assert.deepEqual([1, 2, 3], f(1)(2)(3))
+	assert.deepEqual([1, 2, 3], f(1, 2)(3))
+	assert.deepEqual([1, 2, 3], f(1)(2, 3))
+	assert.deepEqual([1, 2, 3], f()(1, 2, 3))
+	assert.deepEqual([1, 2, 3], f(_, 2)(1)(3))
+	assert.deepEqual([1, 2, 3], f(_, _, 3)(_, 2)(1))
+	assert.deepEqual([1, 2, 3, 4], curryN(3, (...xs) => xs)(1, 2, 3, 4))
+	const g = f(1)
+	assert.deepEqual([1, 2, 3], g(2, 3))
+	assert.deepEqual([1, 4, 5], g(4, 5))
+})
+
+Test('uncurry', () => {
+	assert.equal(6, uncurry(3)(a => b => c => a + b + c)(1, 2, 3))
+	assert.deepEqual([2, 1], uncurry(2)(C(a => b => [a, b]))(1, 2))
+})
+
+Test('flip', () => {
+	assert.deepEqual([2, 1, 3], flip((...xs) => xs)(1, 2, 3))
+})
+
+Test('partial', () => {
+	const f = (...xs) => xs.join('')
+	assert.equal('abcd', partial(f, 'a', 'b')('c', 'd'))
+	assert.equal('cdab', partial_right(f, 'a', 'b')('c', 'd'))
+})
+
+Test('nary', () => {
+	assert.deepEqual([1, 2, 3], ['1', '2', '3'].map(nary(1, parseInt)))
+	assert.deepEqual([1, 2], nary(2, (...xs) => xs)(1, 2, 3))
 })
 
 Test('by', () => {
@@ -119,6 +158,120 @@ Test('object_filter', () => {
 	assert.deepEqual({ a: 1 }, object_filter(([k, v]) => k !== 'b' && v < 2)({ a: 1, b: 1, c: 15 }))
 })
 
+Test('assoc', () => {
+	const x = { x: 1, y: [] }
+	assert.deepEqual({ x: 2, y: [] }, assoc('x')(2)(x))
+	assert.deepEqual({ x: 1, y: [] }, x)
+	assert.equal(x.y, assoc('x')(2)(x).y)
+	assert.equal(x, assoc('x')(1)(x))
+	assert.deepEqual([0, 2], assoc(0)(0)([1, 2]))
+	assert.deepEqual(new Map([[1, 2]]), assoc(1)(2)(new Map([[1, 1]])))
+	assert.deepEqual({ x: 1 }, assoc('x')(1)(null))
+	const s = new Set([1, 2])
+	assert.deepEqual(new Set([1, 2, 3]), assoc(3)(true)(s))
+	assert.deepEqual(new Set([2]), assoc(1)(false)(s))
+	assert.deepEqual(new Set([1, 2]), s)
+	assert.equal(s, assoc(1)(true)(s))
+	assert.equal(s, assoc(3)(false)(s))
+})
+
+Test('dissoc', () => {
+	const x = { x: 1, y: 2 }
+	assert.deepEqual({ y: 2 }, dissoc('x')(x))
+	assert.deepEqual({ x: 1, y: 2 }, x)
+	assert.equal(x, dissoc('z')(x))
+	assert.deepEqual([1, 3], dissoc(1)([1, 2, 3]))
+	assert.deepEqual(new Map([[2, 2]]), dissoc(1)(new Map([[1, 1], [2, 2]])))
+	assert.deepEqual(new Set([2]), dissoc(1, 3)(new Set([1, 2, 3])))
+})
+
+Test('assoc_in', () => {
+	const x = { a: { b: [1, 2] }, c: {} }
+	const y = assoc_in('a', 'b', 0)(0)(x)
+	assert.deepEqual({ a: { b: [0, 2] }, c: {} }, y)
+	assert.deepEqual([1, 2], x.a.b)
+	assert.equal(x.c, y.c)
+	assert.deepEqual({ a: { b: 1 } }, assoc_in('a', 'b')(1)({}))
+})
+
+Test('update_in', () => {
+	const x = new Map([['a', { b: 1 }]])
+	assert.equal(2, update_in('a', 'b')(add(1))(x).get('a').b)
+	assert.equal(1, x.get('a').b)
+})
+
+Test('lens', () => {
+	const first_char = lens(x => x[0], c => x => c + x.slice(1))
+	assert.equal('Yo', over(first_char)(x => x.toUpperCase())('yo'))
+	assert.equal('y', view(first_char)('yo'))
+})
+
+Test('prop', () => {
+	const x = { a: { b: 1 }, c: [1, 2] }
+	assert.equal(1, view(B(prop('a'))(prop('b')))(x))
+	assert.equal(1, view(arrow(prop('b'), prop('a')))(x))
+	const y = put(B(prop('a'))(prop('b')))(2)(x)
+	assert.deepEqual({ a: { b: 2 }, c: [1, 2] }, y)
+	assert.deepEqual({ a: { b: 1 }, c: [1, 2] }, x)
+	assert.equal(x.c, y.c)
+	assert.equal(x, put(prop('a'))(x.a)(x))
+	assert.deepEqual(new Map([['k', 2]]), over(prop('k'))(add(1))(new Map([['k', 1]])))
+})
+
+Test('index', () => {
+	assert.equal(3, view(index(-1))([1, 2, 3]))
+	assert.deepEqual([1, 2, 4], over(index(-1))(add(1))([1, 2, 3]))
+	assert.deepEqual([0, 2], put(index(0))(0)([1, 2]))
+})
+
+Test('path', () => {
+	const x = [{ m: new Map([['k', { v: 1 }]]) }]
+	assert.equal(1, view(path(0, 'm', 'k', 'v'))(x))
+	assert.equal(2, view(path(0, 'm', 'k', 'v'))(over(path(0, 'm', 'k', 'v'))(add(1))(x)))
+	assert.equal(1, x[0].m.get('k').v)
+	assert.deepEqual({ a: { b: 1 } }, put(path('a', 'b'))(1)({}))
+})
+
+Test('view', () => {
+	assert.equal(1, view(prop('x'))({ x: 1 }))
+	assert.equal(null, view(B(prop('x'))(nullable))({ x: null }))
+})
+
+Test('over', () => {
+	assert.deepEqual({ x: 2 }, over(prop('x'))(add(1))({ x: 1 }))
+})
+
+Test('put', () => {
+	assert.deepEqual({ x: 2 }, put(prop('x'))(2)({ x: 1 }))
+})
+
+Test('to_list', () => {
+	assert.deepEqual([1, 2], to_list(B(elements)(prop('x')))([{ x: 1 }, { x: 2 }]))
+})
+
+Test('prism', () => {
+	const numeric = prism(x => isNaN(parseFloat(x)) ? null : parseFloat(x), str)
+	assert.equal('2', over(numeric)(add(1))('1'))
+	assert.equal('yo', over(numeric)(add(1))('yo'))
+	assert.deepEqual([1], to_list(numeric)('1'))
+	assert.deepEqual([], to_list(numeric)('yo'))
+})
+
+Test('nullable', () => {
+	const city = arrow(prop('city'), nullable, prop('address'))
+	assert.deepEqual({ address: null }, put(city)('Athens')({ address: null }))
+	assert.deepEqual({ address: { city: 'Athens' } }, put(city)('Athens')({ address: {} }))
+})
+
+Test('elements', () => {
+	const xs = [{ x: 1 }, { x: 2 }]
+	assert.deepEqual([{ x: 2 }, { x: 3 }], over(B(elements)(prop('x')))(add(1))(xs))
+	assert.equal(xs, over(elements)(I)(xs))
+	assert.deepEqual(new Map([['a', 2]]), over(elements)(add(1))(new Map([['a', 1]])))
+	assert.deepEqual({ a: 2, b: 3 }, over(elements)(add(1))({ a: 1, b: 2 }))
+	assert.deepEqual(new Set([2, 3]), over(elements)(add(1))(new Set([1, 2])))
+})
+
 Test('not', () => {
 	assert.equal(!true, not(true))
 	assert.equal(!false, not(false))
@@ -214,8 +367,26 @@ Test('array_push', () => {
 	assert.deepEqual([1,2,3], array_push(3)([1,2]))
 })
 
+Test('insert_at', () => {
+	const xs = [1, 4]
+	assert.deepEqual([1, 2, 3, 4], insert_at(1, 2, 3)(xs))
+	assert.deepEqual([1, 4, 5], insert_at(2, 5)(xs))
+	assert.deepEqual([1, 4], xs)
+})
+
+Test('remove_at', () => {
+	const xs = [1, 2, 'memes', 3]
+	assert.deepEqual([1, 2, 3], remove_at(2)(xs))
+	assert.deepEqual([1, 2], remove_at(-2, 2)(xs))
+	assert.deepEqual([1, 2, 'memes', 3], xs)
+})
+
 Test('pick', () => {
 	assert.deepEqual(typeof 1, typeof pick([1,2,3]))
+	assert.equal(3, pick([1,2,3], K(0.9)))
+	assert.equal(new Random(1).pick([1,2,3]), pick([1,2,3], new Random(1)))
+	const picked = [[1,2],[3,4]].map(pick)
+	assert.equal(true, [1,2].includes(picked[0]) && [3,4].includes(picked[1]))
 })
 
 Test('construct', () => {
@@ -237,6 +408,13 @@ Test('sort', () => {
 	assert.deepEqual([1,2,3], sort(lexical)((function*() { yield 3; yield 2; yield 1; })()))
 })
 
+Test('sorted', () => {
+	const xs = [3, 2, 1]
+	assert.deepEqual([1, 2, 3], sorted((a, b) => a - b)(xs))
+	assert.deepEqual([3, 2, 1], xs)
+	assert.deepEqual([1, 2, 3], sorted((a, b) => a - b)(new Set(xs)))
+})
+
 Test('reverse', () => {
 	const arr = [1,2,3]
 	assert.deepEqual([3,2,1], reverse(arr))
@@ -435,6 +613,75 @@ Test('equal', () => {
 
 	assert.equal(true, equal(a,b))
 	assert.equal(false, equal(a,c))
+
+	assert.equal(true, equal(NaN, NaN))
+	assert.equal(true, equal(-0, 0))
+	assert.equal(false, equal(1, '1'))
+	assert.equal(false, equal([1, 2], { 0: 1, 1: 2 }))
+	assert.equal(false, equal([1], [1, undefined]))
+	assert.equal(false, equal({ a: undefined }, { b: undefined }))
+	assert.equal(true, equal(new Map([['k', { v: 1 }]]), new Map([['k', { v: 1 }]])))
+	assert.equal(false, equal(new Map([['k', { v: 1 }]]), new Map([['k', { v: 2 }]])))
+	assert.equal(true, equal(new Map([[{ k: 1 }, 1]]), new Map([[{ k: 1 }, 1]])))
+	assert.equal(true, equal(new Set([{ x: 1 }, { x: 2 }]), new Set([{ x: 2 }, { x: 1 }])))
+	assert.equal(false, equal(new Set([{ x: 1 }, { x: 1 }]), new Set([{ x: 1 }, { x: 2 }])))
+	assert.equal(true, equal(new Set([null, 1]), new Set([1, null])))
+	assert.equal(true, equal(new Date(0), new Date(0)))
+	assert.equal(false, equal(new Date(0), new Date(1)))
+	assert.equal(true, equal(/a/g, /a/g))
+	assert.equal(false, equal(/a/g, /a/i))
+	assert.equal(true, equal(new Float64Array([1, NaN]), new Float64Array([1, NaN])))
+	assert.equal(false, equal(new Uint8Array([1]), new Int8Array([1])))
+	assert.equal(true, equal(new Uint8Array([1, 2]).buffer, new Uint8Array([1, 2]).buffer))
+	assert.equal(false, equal(new Uint8Array([1, 2]).buffer, new Uint8Array([1, 3]).buffer))
+	assert.equal(true, equal(new DataView(new ArrayBuffer(2)), new DataView(new ArrayBuffer(2))))
+	assert.equal(true, equal(new Number(1), new Number(1)))
+	assert.equal(false, equal(new String('a'), new String('b')))
+	assert.equal(true, equal(new Error('a'), new Error('a')))
+	assert.equal(false, equal(new Error('a'), new Error('b')))
+	assert.equal(false, equal(new Error('a'), new TypeError('a')))
+	assert.equal(false, equal(new Error('a', { cause: 1 }), new Error('a', { cause: 2 })))
+	assert.equal(false, equal(Object.assign(new Error('a'), { code: 1 }), new Error('a')))
+
+	const x = { a: 1 }
+	x.self = x
+	const y = { a: 1 }
+	y.self = y
+	assert.equal(true, equal(x, y))
+	y.a = 2
+	assert.equal(false, equal(x, y))
+})
+
+Test('equal_by', () => {
+	const loose = equal_by((a, b) => typeof a === 'string' && typeof b === 'string' ? a.toLowerCase() === b.toLowerCase() : undefined)
+	assert.equal(true, loose({ x: ['A'] }, { x: ['a'] }))
+	assert.equal(false, loose({ x: ['A'] }, { x: ['b'] }))
+	assert.equal(false, equal_by(K(undefined), { signed_zero: true })([0], [-0]))
+	assert.equal(true, equal_by(K(undefined), { signed_zero: true })([-0], [-0]))
+})
+
+Test('compare', () => {
+	assert.equal(-1, compare(1, 2))
+	assert.equal(1, compare('b', 'a'))
+	assert.equal(0, compare(-0, 0))
+	assert.equal(0, compare(NaN, NaN))
+	assert.equal(-1, compare(NaN, -Infinity))
+	assert.equal(-1, compare(10, '9'))
+	assert.equal(0, compare(new Date(5), new Date(5)))
+	assert.equal(-1, compare([1, 2], [1, 3]))
+	assert.equal(-1, compare([1], [1, 0]))
+	assert.equal(0, compare({ a: 1, b: [2] }, { b: [2], a: 1 }))
+	assert.equal(0, compare(new Set([1, 2]), new Set([2, 1])))
+	assert.equal(0, compare(new Number(1), 1))
+	assert.equal(1, compare(3, 1n))
+	assert.equal(-1, compare(1, 1n))
+	assert.equal(0, compare(1n, 1n))
+	assert.equal(-1, compare(2n ** 64n, Infinity))
+	assert.deepEqual(
+		[null, false, true, NaN, -1, 2, 10n, '10', '9', [1], [1, 2], {}],
+		[{}, [1, 2], '9', 2, null, true, 10n, [1], -1, '10', false, NaN].sort(compare))
+	assert.deepEqual([NaN, -1n, 0, 0n, 1.5, 2n], [2n, 1.5, 0n, NaN, 0, -1n].sort(compare))
+	assert.equal(-1, compare(undefined, null))
 })
 
 Test('ifelse', () => {
@@ -492,6 +739,40 @@ Test('cond', () => {
 	assert.equal('no idea', test(Infinity))
 })
 
+Test('match', () => {
+	const { _, capture: $, rest, where, guard } = match
+	const handle = match(
+		{ type: 'add', items: [$('item'), rest('others')] }, ({ item, others }) => ['add', item, others],
+		{ type: 'remove', id: $('id', Number) }, ({ id }) => ['remove', id],
+		guard({ type: 'move', to: $('to') }, ({ to }) => to >= 0), ({ to }) => ['move', to],
+		{ type: String }, (_, x) => ['unknown', x.type],
+	)
+	assert.deepEqual(['add', 1, [2, 3]], handle({ type: 'add', items: [1, 2, 3] }))
+	assert.deepEqual(['add', 1, []], handle({ type: 'add', items: [1] }))
+	assert.deepEqual(['unknown', 'add'], handle({ type: 'add', items: [] }))
+	assert.deepEqual(['remove', 5], handle({ type: 'remove', id: 5 }))
+	assert.deepEqual(['unknown', 'remove'], handle({ type: 'remove', id: '5' }))
+	assert.deepEqual(['move', 1], handle({ type: 'move', to: 1 }))
+	assert.deepEqual(['unknown', 'move'], handle({ type: 'move', to: -1 }))
+	assert.throws(() => handle({ type: 1 }), e => e instanceof MatchError && e.value.type === 1)
+	assert.throws(() => handle(null), /No pattern matched/)
+
+	assert.equal('nan', match(NaN, K('nan'))(NaN))
+	assert.equal('null', match(null, K('null'), _, K('other'))(null))
+	assert.equal('other', match(null, K('null'), _, K('other'))(undefined))
+	assert.equal('pair', match([_, _], K('pair'), K('default'))([1, 2]))
+	assert.equal('default', match([_, _], K('pair'), K('default'))([1, 2, 3]))
+	assert.equal('map', match({ k: 1 }, K('map'))(new Map([['k', 1]])))
+	assert.equal('date', match(Date, K('date'), Object, K('object'))(new Date()))
+	assert.equal('object', match(Date, K('date'), Object, K('object'))({}))
+	assert.equal('big', match(where(gt(10)), K('big'), Number, K('small'))(11))
+	assert.equal('big', match(x => x > 1, K('big'), K('small'))(5))
+	assert.equal('small', match(x => x > 1, K('big'), K('small'))(0))
+	assert.deepEqual({ n: 5 }, match({ n: $('n', x => x > 1) }, I)({ n: 5 }))
+	assert.throws(() => match(x => x > 1, K('big'))(0), MatchError)
+	assert.equal('yo', match(/^y/, (_, x) => x)('yo'))
+})
+
 Test('attempt', () => {
 	assert.equal('test',
 		attempt(function() { throw new Error('test') }).message
@@ -508,6 +789,181 @@ Test('reject', () => {
 	assert.equal('Best', reject(is('Test'), K('Test'))('Best'))
 })
 
+Test('Maybe', async () => {
+	assert.deepEqual(Maybe.Just(null), Maybe.Just(1).map(K(null)))
+	assert.equal(Maybe.Nothing, Maybe.fromNullable(null))
+	assert.equal(Maybe.Nothing, Maybe.Nothing.map(add(1)))
+	assert.deepEqual(Maybe.Just(2), Maybe.fromNullable(1).chain(x => Maybe.Just(x + 1)))
+	assert.equal(Maybe.Nothing, Maybe.Just(1).chain(K(Maybe.Nothing)))
+	assert.equal(Maybe.Nothing, Maybe.Just(1).filter(is(2)))
+	assert.equal('just 1', Maybe.Just(1).fold(K('nothing'), x => 'just ' + x))
+	assert.equal('nothing', Maybe.Nothing.fold(K('nothing'), x => 'just ' + x))
+	assert.equal(0, Maybe.Nothing.getOrElse(0))
+	assert.equal(null, maybe(add(1))(Maybe.Nothing.toNullable()))
+	assert.deepEqual(Maybe.Just(1), Maybe.fromResult(Result.Ok(1)))
+	assert.deepEqual(Maybe.Just(2), await Maybe.Just(1).mapAsync(async x => x + 1))
+	assert.deepEqual(Maybe.Just(2), bind(x => Maybe.Just(x + 1))(Maybe.Just(1)))
+	assert.deepEqual(Maybe.Just(3), liftM2(add)(Maybe.Just(1))(Maybe.Just(2)))
+	assert.equal(Maybe.Nothing, liftM2(add)(Maybe.Just(1))(Maybe.Nothing))
+})
+
+Test('Result', async () => {
+	const error = new Error('oops')
+	const boom = () => { throw error }
+	assert.deepEqual(Result.Ok(error), Result.tryCatch(K(error)))
+	assert.deepEqual(Result.Err(error), Result.tryCatch(boom))
+	assert.deepEqual(Result.Ok(3), Result.tryCatch(Math.max, 1, 3))
+	assert.deepEqual(Result.Err(error), await Result.tryCatchAsync(async () => boom()))
+	assert.deepEqual(Result.Err(error), Result.fromAttempt(attempt(boom)))
+	assert.deepEqual(Result.Ok(1), Result.fromAttempt(attempt(K(1))))
+	assert.deepEqual(Result.Err('none'), Result.fromMaybe(Maybe.Nothing, 'none'))
+
+	assert.deepEqual(Result.Ok(2), Result.Ok(1).map(add(1)))
+	assert.deepEqual(Result.Err(1), Result.Err(1).map(add(1)))
+	assert.deepEqual(Result.Err(2), Result.Err(1).mapErr(add(1)))
+	assert.deepEqual(Result.Err('no'), Result.Ok(1).chain(K(Result.Err('no'))))
+	assert.equal('oops', Result.Err(error).fold(x => x.message, I))
+	assert.equal(0, Result.Err(error).getOrElse(0))
+	assert.throws(() => Result.Err(error).unwrap(), error)
+	assert.equal('oops', trycatch(I, x => x.message)(Result.Err(error).toAttempt()))
+	assert.deepEqual(Result.Ok(2), await Result.Ok(1).chainAsync(async x => Result.Ok(x + 1)))
+	assert.deepEqual(Result.Ok(3), liftM2(add)(Result.Ok(1))(Result.Ok(2)))
+	assert.deepEqual(Result.Err(error), liftM2(add)(Result.Err(error))(Result.Ok(2)))
+})
+
+Test('Decoder types', () => {
+	assert.deepEqual(Result.Ok('yo'), Decoder.string('yo'))
+	assert.deepEqual(Result.Err([{ path: [], message: 'expected a string, got number' }]), Decoder.string(1))
+	assert.deepEqual(Result.Ok(1), Decoder.number(1))
+	assert.equal('expected a number, got NaN', Decoder.number(NaN).value[0].message)
+	assert.equal('expected a number, got -Infinity', Decoder.number(-Infinity).value[0].message)
+	assert.equal(false, Decoder.number('1').ok)
+	assert.deepEqual(Result.Ok(false), Decoder.boolean(false))
+	assert.equal('expected a boolean, got null', Decoder.boolean(null).value[0].message)
+	assert.deepEqual(Result.Ok(null), Decoder.any(null))
+})
+
+Test('Decoder.literal', () => {
+	assert.deepEqual(Result.Ok('a'), Decoder.literal('a', 'b')('a'))
+	assert.equal('expected one of "a", "b", got "c"', Decoder.literal('a', 'b')('c').value[0].message)
+})
+
+Test('Decoder.object', () => {
+	const User = Decoder.object({
+		name: Decoder.string,
+		age: Decoder.optional(Decoder.number),
+		address: Decoder.object({ city: Decoder.string }),
+	})
+	assert.deepEqual(
+		Result.Ok({ name: 'Bob', address: { city: 'Athens' } }),
+		User({ name: 'Bob', address: { city: 'Athens' }, extra: true }))
+	assert.deepEqual(
+		Result.Err([
+			{ path: ['name'], message: 'expected a string, got undefined' },
+			{ path: ['age'], message: 'expected a number, got string' },
+			{ path: ['address', 'city'], message: 'expected a string, got number' },
+		]),
+		User({ age: '1', address: { city: 1 } }))
+	assert.equal('expected an object, got array', User([]).value[0].message)
+	assert.deepEqual(
+		Result.Err([{ path: ['extra'], message: 'unexpected key' }]),
+		Decoder.object({}, { strict: true })({ extra: 1 }))
+	assert.deepEqual(Result.Ok({}), Decoder.object({ toString: Decoder.optional(Decoder.string) })({}))
+	assert.deepEqual(Result.Ok({}), Decoder.object({ constructor: Decoder.any })({}))
+	assert.deepEqual(Result.Ok({ a: 1 }), Decoder.object({ a: Decoder.number })(Object.create({ b: 2 }, { a: { value: 1, enumerable: true } })))
+})
+
+Test('Decoder.array_of', () => {
+	assert.deepEqual(Result.Ok([1, 2]), Decoder.array_of(Decoder.number)([1, 2]))
+	assert.deepEqual(
+		Result.Err([
+			{ path: [0], message: 'expected a number, got string' },
+			{ path: [2], message: 'expected a number, got null' },
+		]),
+		Decoder.array_of(Decoder.number)(['1', 2, null]))
+	assert.equal('expected an array, got object', Decoder.array_of(Decoder.number)({}).value[0].message)
+})
+
+Test('Decoder.optional', () => {
+	assert.deepEqual(Result.Ok(undefined), Decoder.optional(Decoder.number)(undefined))
+	assert.deepEqual(Result.Ok(1), Decoder.optional(Decoder.number, 1)(undefined))
+	assert.equal(false, Decoder.optional(Decoder.number)(null).ok)
+})
+
+Test('Decoder.union', () => {
+	const d = Decoder.union(Decoder.number, Decoder.object({ n: Decoder.number }))
+	assert.deepEqual(Result.Ok(1), d(1))
+	assert.deepEqual(Result.Ok({ n: 1 }), d({ n: 1 }))
+	assert.deepEqual(
+		Result.Err([{ path: [], message: 'did not match any of 2 alternatives', alternatives: [
+			[{ path: [], message: 'expected a number, got object' }],
+			[{ path: ['n'], message: 'expected a number, got string' }],
+		] }]),
+		d({ n: '1' }))
+	assert.deepEqual(
+		Result.Err([{ path: ['x'], message: 'did not match any of 2 alternatives', alternatives: [
+			[{ path: ['x'], message: 'expected a number, got object' }],
+			[{ path: ['x', 'n'], message: 'expected a number, got string' }],
+		] }]),
+		Decoder.object({ x: d })({ x: { n: '1' } }))
+})
+
+Test('Decoder.refine', () => {
+	const Age = arrow(Decoder.number, Decoder.refine(gte(0), 'must not be negative'))
+	assert.deepEqual(Result.Ok(1), Age(1))
+	assert.deepEqual(Result.Err([{ path: [], message: 'must not be negative' }]), Age(-1))
+	assert.deepEqual(Result.Err([{ path: [], message: 'expected a number, got string' }]), Age('1'))
+	assert.deepEqual(
+		Result.Err([{ path: ['age'], message: 'must not be negative' }]),
+		Decoder.object({ age: Decoder.pipe(Decoder.number, Decoder.refine(gte(0), 'must not be negative')) })({ age: -1 }))
+	assert.deepEqual(
+		Result.Err([{ path: ['age'], message: 'must not be negative' }]),
+		Decoder.object({ age: Age })({ age: -1 }))
+	assert.deepEqual({}, Decoder.object({ age: Age }).schema.properties.age)
+	assert.deepEqual({ type: 'array', items: {} }, Decoder.array_of(Age).schema)
+	assert.deepEqual(['name'], Decoder.object({
+		name: Decoder.string,
+		nick: Decoder.pipe(Decoder.optional(Decoder.string), Decoder.transform(x => x ?? '')),
+	}).schema.required)
+})
+
+Test('Decoder.transform', () => {
+	const Name = arrow(Decoder.string, Decoder.transform(trim), Decoder.refine(x => x.length > 0, 'must not be empty'))
+	assert.deepEqual(Result.Ok('Bob'), Name(' Bob '))
+	assert.equal(false, Name('  ').ok)
+	assert.deepEqual(
+		Result.Err([{ path: [], message: 'bad' }]),
+		Decoder.transform(() => { throw new Error('bad') })(1))
+})
+
+Test('Decoder.json_schema', () => {
+	const User = Decoder.object({
+		name: Decoder.string,
+		age: Decoder.optional(Decoder.pipe(Decoder.number, Decoder.refine(gte(0), 'must not be negative', { minimum: 0 }))),
+		role: Decoder.union(Decoder.literal('admin', 'user'), Decoder.boolean),
+		tags: Decoder.array_of(Decoder.string),
+	}, { strict: true })
+	assert.deepEqual({
+		$schema: 'https://json-schema.org/draft/2020-12/schema',
+		type: 'object',
+		properties: {
+			name: { type: 'string' },
+			age: { type: 'number', minimum: 0 },
+			role: { anyOf: [{ enum: ['admin', 'user'] }, { type: 'boolean' }] },
+			tags: { type: 'array', items: { type: 'string' } },
+		},
+		required: ['name', 'role', 'tags'],
+		additionalProperties: false,
+	}, Decoder.json_schema(User))
+})
+
+Test('Decoder.assert', () => {
+	const Point = Decoder.assert(Decoder.object({ x: Decoder.number, y: Decoder.number }))
+	assert.deepEqual({ x: 1, y: 2 }, Point({ x: 1, y: 2 }))
+	assert.throws(() => Point({ x: '1' }), e =>
+		e instanceof DecodeError && e.errors.length === 2 && e.message === 'x: expected a number, got string\ny: expected a number, got undefined')
+})
+
 Test('between', () => {
 	assert.equal(true, between(1, 0, 10))
 	assert.equal(true, between(1, 1, 10))
@@ -601,24 +1057,117 @@ Test('addr', () => {
 
 Test('randint', () => {
 	assert.equal(true, randint(0, 15) < 16)
+	assert.equal(7, randint(5, 10, K(0.5)))
+	assert.equal(new Random(1).int(0, 100), randint(0, 100, new Random(1)))
 })
 
 Test('clamp', () => {
 	assert.equal(5, clamp(5, 1, 10))
 	assert.equal(10, clamp(999, 1, 10))
 	assert.equal(1, clamp(-Infinity, 1, 10))
+	assert.equal(10, clamp(999, new Range(1, 10)))
+})
+
+Test('relative', () => {
+	assert.equal(2.3, relative(230, 0, 100))
+	assert.equal(3.6, relative(230, new Range(50, 100)))
+})
+
+Test('round', () => {
+	assert.equal(1, round(0.5))
+	assert.equal(-1, round(-0.5))
+	assert.equal(1.01, round(1.005, -2))
+	assert.equal(Infinity, round(Infinity))
+	assert.equal(-Infinity, round(-Infinity, -2))
+	assert.equal(true, Number.isNaN(round(NaN)))
+	assert.equal(1, round(1.05, -1, 'half_down'))
+	assert.equal(0.2, round(0.25, -1, 'half_even'))
+	assert.equal(0.4, round(0.35, -1, 'half_even'))
+	assert.equal(1200, round(1250, 2, 'half_even'))
+	assert.equal(1300, round(1250, 2))
+	assert.equal(1.2, round(1.11, -1, 'up'))
+	assert.equal(-1.2, round(-1.11, -1, 'up'))
+	assert.equal(-1.1, round(-1.19, -1, 'down'))
+	assert.equal(-1.1, round(-1.19, -1, 'ceil'))
+	assert.equal(-1.2, round(-1.11, -1, 'floor'))
+	assert.equal(3e-7, round(2.5e-7, -7))
+	assert.equal(1e21, round(1e21, -2))
+	assert.throws(() => round(1.5, 0, 'sideways'))
 })
 
 Test('ceil', () => {
 	assert.equal(1, ceil(0.88))
 	assert.equal(0.9, ceil(0.88, -1))
 	assert.equal(10, ceil(0.88, 1))
+	assert.equal(Infinity, ceil(Infinity))
+	assert.equal(1.1, ceil(1.01, -1))
+	assert.equal(-1.1, ceil(-1.19, -1))
 })
 
 Test('floor', () => {
 	assert.equal(1, floor(1.88))
 	assert.equal(1.8, floor(1.88, -1))
 	assert.equal(0, floor(1.88, 1))
+	assert.equal(true, Number.isNaN(floor(NaN)))
+	assert.equal(1.1, floor(1.1, -2))
+	assert.equal(-1.2, floor(-1.11, -1))
+})
+
+Test('Decimal', () => {
+	assert.equal('19.99', new Decimal(1999n, 2).toString())
+	assert.equal('-0.05', new Decimal(-5n, 2).toString())
+	assert.equal('0.1', Decimal.from(0.1).toString())
+	assert.equal('1200', Decimal.from('1.2e3').toString())
+	assert.equal('0.00000025', Decimal.from(2.5e-7).toString())
+	assert.equal('-3', Decimal.from(-3n).toString())
+	assert.equal('0.5', Decimal.from('.5').toString())
+	assert.throws(() => Decimal.from('1.2.3'), SyntaxError)
+	assert.throws(() => Decimal.from(''), SyntaxError)
+	assert.throws(() => Decimal.from(NaN), RangeError)
+})
+
+Test('Decimal arithmetic', () => {
+	assert.equal('0.3', Decimal.from(0.1).add(0.2).toString())
+	assert.equal('-0.1', Decimal.from('0.1').sub('0.2').toString())
+	assert.equal('0.02', Decimal.from(0.1).mul(0.2).toString())
+	assert.equal('0.33', Decimal.from(1).div(3, 2).toString())
+	assert.equal('0.67', Decimal.from(2).div(3, 2).toString())
+	assert.equal('-0.66', Decimal.from(2).div(-3, 2, 'down').toString())
+	assert.equal('40', Decimal.from('1.2').div('0.03', 0).toString())
+	assert.throws(() => Decimal.from(1).div(0, 2), RangeError)
+	assert.throws(() => Decimal.from(1).div(3), RangeError)
+	assert.equal(0.3, Decimal.from(0.1).add(0.2).toNumber())
+	assert.equal('"10.50"', JSON.stringify(Decimal.from('10.5').round(2)))
+	assert.equal('5', Decimal.from(-5).abs().toString())
+})
+
+Test('Decimal.round', () => {
+	assert.equal('1.10', Decimal.from(1.1).round(2).toString())
+	assert.equal('2.68', Decimal.from('2.675').round(2).toString())
+	assert.equal('2.67', Decimal.from('2.675').round(2, 'half_down').toString())
+	assert.equal('2.68', Decimal.from('2.675').round(2, 'half_even').toString())
+	assert.equal('2.66', Decimal.from('2.665').round(2, 'half_even').toString())
+	assert.equal('-3', Decimal.from('-2.5').round().toString())
+	assert.equal('1300', Decimal.from('1250').round(-2).toString())
+})
+
+Test('Decimal.compare', () => {
+	assert.equal(0, Decimal.from('1.10').compare(1.1))
+	assert.equal(-1, Decimal.from('1.09').compare(1.1))
+	assert.equal(1, Decimal.from('-1').compare(-2))
+})
+
+Test('format_number', () => {
+	assert.equal('1,234,567.01', format_number(1234567.005, { locale: 'en-US', places: 2 }))
+	assert.equal('1.234.567,00', format_number(1234567.005, { locale: 'de-DE', places: 2, mode: 'down' }))
+	assert.equal('0.12', format_number(0.125, { locale: 'en-US', places: 2, mode: 'half_even' }))
+	assert.equal('12,345,678,901,234,567,890.12', format_number(new Decimal(1234567890123456789012n, 2), { locale: 'en-US', maximumFractionDigits: 2 }))
+	assert.equal('€1.50', format_number('1.5', { locale: 'en-US', places: 2, style: 'currency', currency: 'EUR' }))
+	assert.equal('-12,345,678,901,234,567,890.1', format_number('-12345678901234567890.1', { locale: 'en-US' }))
+	assert.equal('-0.5', format_number(-0.5, { locale: 'en-US' }))
+	assert.equal('0.001', format_number(0.0005, { locale: 'en-US' }))
+	assert.equal('1,000', format_number(999.9999, { locale: 'en-US' }))
+	assert.equal('50%', format_number(0.5, { locale: 'en-US', style: 'percent' }))
 })
 
 Test('minmax', () => {
@@ -637,6 +1186,7 @@ Test('plus_mod', () => {
 Test('rollover', () => {
 	assert.equal(3, rollover(0, 3)(-1))
 	assert.equal(0, rollover(0, 3)(4))
+	assert.equal(3, rollover(new Range(0, 3))(-1))
 })
 
 Test('naturals', () => {
@@ -655,6 +1205,144 @@ Test('Range', () => {
 	assert.equal(true, rng.includes(5))
 	assert.equal(false, rng.includes(11))
 	assert.equal(false, rng.includes(-0.01))
+	const open = new Range(0, 10, { bounds: '()' })
+	assert.equal(false, open.includes(0))
+	assert.equal(false, open.includes(10))
+	assert.equal(true, open.includes(0.01))
+})
+
+Test('Range iteration', () => {
+	assert.deepEqual([0, 1, 2, 3], Array.from(new Range(0, 3)))
+	assert.deepEqual([0, 3, 6, 9], Array.from(new Range(0, 10, { step: 3 })))
+	assert.deepEqual([10, 7, 4, 1], Array.from(new Range(0, 10, { step: -3 })))
+	assert.deepEqual([0, 0.25, 0.5, 0.75, 1], Array.from(new Range(0, 1, { step: 0.25 })))
+	assert.deepEqual([1, 2], Array.from(new Range(0, 3, { bounds: '()' })))
+	assert.deepEqual([0, 1, 2], Array.from(new Range(0, 3, { bounds: '[)' })))
+	assert.deepEqual([3, 2, 1], Array.from(new Range(0, 3, { step: -1, bounds: '(]' })))
+	assert.deepEqual([0, 3, 6, 9], Array.from(new Range(0, 10, { step: 3, bounds: '[)' })))
+	assert.deepEqual([], Array.from(new Range(3, 0)))
+	assert.deepEqual([], Array.from(new Range(1, 1, { bounds: '[)' })))
+	assert.deepEqual([1], Array.from(new Range(1, 1)))
+	assert.equal(11, new Range(0, 1, { step: 0.1 }).length)
+	assert.deepEqual([0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1], Array.from(new Range(0, 1, { step: 0.1 })))
+	assert.deepEqual([0, 0.3, 0.6, 0.9], Array.from(new Range(0, 0.9, { step: 0.3 })))
+	assert.deepEqual([0.9, 0.6, 0.3, 0], Array.from(new Range(0, 0.9, { step: -0.3 })))
+	assert.deepEqual([1.1, 1.3], Array.from(new Range(1.1, 1.4, { step: 0.2 })))
+	assert.equal(0.9, new Range(0, 1, { step: 0.3 }).reverse().max)
+	assert.equal(3, new Range(0, 0.3, { step: 0.1, bounds: '[)' }).length)
+	assert.equal(Infinity, new Range(0, Infinity).length)
+	assert.deepEqual([0, 1, 2], Array.from(limit(3)(new Range(0, Infinity, { bounds: '[)' }))))
+	assert.equal(4, len(new Range(0, 10, { step: 3 })))
+	assert.throws(() => new Range(0, 1, { step: 0 }), RangeError)
+})
+
+Test('Range.at', () => {
+	const rng = new Range(0, 10, { step: 3 })
+	assert.equal(0, rng.at(0))
+	assert.equal(6, rng.at(2))
+	assert.equal(9, rng.at(-1))
+	assert.equal(undefined, rng.at(4))
+	assert.equal(undefined, rng.at(-5))
+})
+
+Test('Range.reverse', () => {
+	assert.deepEqual([9, 6, 3, 0], Array.from(new Range(0, 10, { step: 3 }).reverse()))
+	assert.deepEqual([1, 4, 7, 10], Array.from(new Range(0, 10, { step: -3 }).reverse()))
+	assert.deepEqual([2, 1], Array.from(new Range(0, 3, { bounds: '()' }).reverse()))
+	assert.deepEqual([], Array.from(new Range(1, 0).reverse()))
+	assert.throws(() => new Range(0, Infinity).reverse(), RangeError)
+})
+
+Test('Range.overlaps', () => {
+	assert.equal(true, new Range(0, 5).overlaps(new Range(5, 10)))
+	assert.equal(false, new Range(0, 5, { bounds: '[)' }).overlaps(new Range(5, 10)))
+	assert.equal(true, new Range(0, 10).overlaps(new Range(2, 3)))
+	assert.equal(false, new Range(0, 1).overlaps(new Range(2, 3)))
+})
+
+Test('Range.contains_range', () => {
+	assert.equal(true, new Range(0, 10).contains_range(new Range(0, 10)))
+	assert.equal(true, new Range(0, 10).contains_range(new Range(2, 3)))
+	assert.equal(true, new Range(0, 10).contains_range(new Range(0, 10, { bounds: '()' })))
+	assert.equal(false, new Range(0, 10, { bounds: '()' }).contains_range(new Range(0, 10)))
+	assert.equal(false, new Range(0, 10).contains_range(new Range(5, 11)))
+})
+
+Test('Range.intersect', () => {
+	assert.deepEqual(new Range(5, 10), new Range(0, 10).intersect(new Range(5, 15)))
+	assert.deepEqual(new Range(5, 10, { bounds: '(]' }), new Range(0, 10).intersect(new Range(5, 15, { bounds: '()' })))
+	assert.deepEqual(new Range(5, 5), new Range(0, 5).intersect(new Range(5, 15)))
+	assert.equal(null, new Range(0, 5, { bounds: '[)' }).intersect(new Range(5, 15)))
+})
+
+Test('Range.union', () => {
+	assert.deepEqual(new Range(0, 15), new Range(0, 10).union(new Range(5, 15)))
+	assert.deepEqual(new Range(0, 15), new Range(0, 5, { bounds: '[)' }).union(new Range(5, 15)))
+	assert.deepEqual(new Range(0, 15, { bounds: '(]' }), new Range(0, 10, { bounds: '()' }).union(new Range(2, 15)))
+	assert.equal(null, new Range(0, 5, { bounds: '[)' }).union(new Range(5, 15, { bounds: '(]' })))
+	assert.equal(null, new Range(0, 1).union(new Range(2, 3)))
+})
+
+Test('Range.split', () => {
+	assert.deepEqual(
+		[new Range(0, 5, { bounds: '[)' }), new Range(5, 10, { bounds: '[]' })],
+		new Range(0, 10).split(2))
+	const parts = new Range(0, 1, { bounds: '(]' }).split(3)
+	assert.equal(3, parts.length)
+	assert.equal('()', parts[0].bounds)
+	assert.equal(1, parts[2].max)
+	assert.deepEqual(Array.from(new Range(0, 9)), new Range(0, 9).split(3).flatMap(r => Array.from(r)))
+})
+
+Test('IntervalSet', () => {
+	const s = new IntervalSet([new Range(10, 20), new Range(0, 5), new Range(4, 8), new Range(30, 40, { bounds: '()' })])
+	assert.deepEqual([new Range(0, 8), new Range(10, 20), new Range(30, 40, { bounds: '()' })], Array.from(s))
+	s.add(new Range(8, 10, { bounds: '()' }))
+	assert.deepEqual([new Range(0, 20), new Range(30, 40, { bounds: '()' })], Array.from(s))
+	s.add(new Range(40, 50))
+	assert.deepEqual([new Range(0, 20), new Range(30, 50, { bounds: '(]' })], Array.from(s))
+	s.add(new Range(22, 21))
+	assert.equal(2, s.ranges.length)
+	assert.equal(true, s.includes(0))
+	assert.equal(true, s.includes(20))
+	assert.equal(false, s.includes(25))
+	assert.equal(false, s.includes(30))
+	assert.equal(true, s.includes(30.5))
+	assert.equal(false, s.includes(51))
+	assert.equal(true, inside(s)(15))
+	assert.equal(false, has(25)(s))
+})
+
+Test('IntervalSet.remove', () => {
+	const s = new IntervalSet([new Range(0, 10), new Range(20, 30)])
+	s.remove(new Range(5, 25, { bounds: '()' }))
+	assert.deepEqual([new Range(0, 5), new Range(25, 30)], Array.from(s))
+	s.remove(new Range(0, 5, { bounds: '[)' }))
+	assert.deepEqual([new Range(5, 5), new Range(25, 30)], Array.from(s))
+	s.remove(new Range(-10, 100))
+	assert.deepEqual([], Array.from(s))
+})
+
+Test('IntervalSet queries', () => {
+	const s = new IntervalSet([new Range(0, 10), new Range(20, 30), new Range(40, 50)])
+	assert.deepEqual([new Range(20, 30), new Range(40, 50)], s.overlapping(new Range(25, 45)))
+	assert.deepEqual([], s.overlapping(new Range(10, 20, { bounds: '()' })))
+	assert.equal(true, s.overlaps(new Range(10, 20)))
+	assert.equal(false, s.overlaps(new Range(11, 19)))
+	assert.equal(true, s.contains_range(new Range(20, 30)))
+	assert.equal(false, s.contains_range(new Range(5, 25)))
+})
+
+Test('IntervalSet operations', () => {
+	const a = new IntervalSet([new Range(0, 10), new Range(20, 30)])
+	const b = new IntervalSet([new Range(5, 25)])
+	assert.deepEqual([new Range(0, 30)], Array.from(a.union(b)))
+	assert.deepEqual([new Range(5, 10), new Range(20, 25)], Array.from(a.intersect(b)))
+	assert.deepEqual(
+		[new Range(-5, 0, { bounds: '[)' }), new Range(10, 20, { bounds: '()' }), new Range(30, 35, { bounds: '(]' })],
+		Array.from(a.complement(new Range(-5, 35))))
+	assert.deepEqual([new Range(0, 30)], Array.from(a.union(a.complement(new Range(0, 30)))))
+	assert.deepEqual([new Range(0, 10), new Range(20, 30)], Array.from(a))
 })
 
 Test('probability', () => {
@@ -669,6 +1357,146 @@ Test('signum', () => {
 	assert.deepEqual([1, 0, -1], [4839720, 0, -Infinity].map(signum))
 })
 
+Test('Random', () => {
+	const a = new Random(42)
+	const b = new Random(42)
+	const xs = construct(() => a.next(), 100)
+	assert.deepEqual(xs, construct(() => b.next(), 100))
+	assert.notDeepEqual(xs, construct(() => new Random(43).next(), 100))
+	assert.equal(true, xs.every(x => Number.isInteger(x) && x >= 0 && x < 2**32))
+	assert.equal(true, construct(() => a.float(), 1000).every(x => x >= 0 && x < 1))
+	const ints = construct(() => a.int(3, 6), 1000)
+	assert.deepEqual([3, 4, 5], Array.from(new Set(ints)).sort())
+	assert.deepEqual(new Random('seed').int(0, 1000), new Random('seed').int(0, 1000))
+	assert.equal(true, [1, 2, 3].includes(a.pick([1, 2, 3])))
+})
+
+Test('Random.shuffle', () => {
+	const xs = construct(I, 20)
+	const ys = new Random(1).shuffle(xs)
+	assert.deepEqual(construct(I, 20), xs)
+	assert.notDeepEqual(xs, ys)
+	assert.deepEqual(xs, ys.slice().sort((a, b) => a - b))
+	assert.deepEqual(ys, new Random(1).shuffle(xs))
+})
+
+Test('Random.sample', () => {
+	const ys = new Random(1).sample(construct(I, 20), 5)
+	assert.equal(5, ys.length)
+	assert.equal(5, new Set(ys).size)
+	assert.throws(() => new Random(1).sample([1], 2), RangeError)
+})
+
+Test('Random.weighted', () => {
+	const rng = new Random(1)
+	const xs = construct(() => rng.weighted(['a', 'b', 'c'], [1, 0, 3]), 1000)
+	assert.equal(0, xs.filter(x => x === 'b').length)
+	const a = xs.filter(x => x === 'a').length
+	assert.equal(true, a > 200 && a < 300)
+	assert.equal('c', new Random(1).weighted(['a', 'b', 'c', 'd'], [0, 0, 1, 0]))
+})
+
+Test('Random distributions', () => {
+	const rng = new Random(1)
+	const g = construct(() => rng.gaussian(10, 2), 10000)
+	assert.equal(true, Math.abs(average(g) - 10) < 0.1)
+	const e = construct(() => rng.exponential(2), 10000)
+	assert.equal(true, Math.abs(average(e) - 0.5) < 0.05)
+})
+
+Test('Random.fork', () => {
+	const a = new Random(1)
+	const b = a.fork()
+	assert.notDeepEqual(construct(() => a.next(), 10), construct(() => b.next(), 10))
+	assert.equal(new Random(1).fork().next(), new Random(1).fork().next())
+	const c = new Random(2)
+	assert.deepEqual(Uint32Array.of(c.next(), c.next(), c.next(), c.next()), new Random(2).fork().state)
+	assert.equal(true, c.fork() instanceof Random)
+	assert.equal(1000, new Set(construct(() => c.fork().next(), 1000)).size)
+})
+
+Test('Arbitrary', () => {
+	const random = new Random(1)
+	const even = Arb.integer(0, 100).filter(x => x % 2 === 0)
+	assert.equal(true, construct(() => even.generate(random, 10).value, 100).every(x => x % 2 === 0))
+	const t = Arb.integer(0, 100).map(x => x * 10).generate(random, 10)
+	assert.equal(0, t.value % 10)
+	assert.equal(true, Array.from(t.shrinks()).every(x => x.value % 10 === 0 && x.value < t.value))
+	assert.throws(() => Arb.integer().filter(K(false)).generate(random, 10))
+	const sized = Arb.integer(1, 5).chain(n => Arb.array_of(Arb.boolean, { min: n, max: n }))
+	assert.equal(true, construct(() => sized.generate(random, 10).value.length, 100).every(n => n >= 1 && n <= 5))
+})
+
+Test('Arb primitives', () => {
+	const random = new Random(1)
+	const sample = (arb, size=10) => construct(() => arb.generate(random, size).value, 200)
+	assert.deepEqual([5], Array.from(new Set(sample(Arb.constant(5)))))
+	assert.equal(true, sample(Arb.integer(-3, 3)).every(x => Number.isInteger(x) && x >= -3 && x <= 3))
+	assert.deepEqual([-3, -2, -1, 0, 1, 2, 3], Array.from(new Set(sample(Arb.integer(-3, 3)))).sort((a, b) => a - b))
+	assert.equal(true, sample(Arb.integer(), 5).every(x => x >= -5 && x <= 5))
+	assert.equal(true, sample(Arb.integer(10)).every(x => x >= 10 && x <= 20))
+	assert.equal(true, sample(Arb.integer(undefined, -50)).every(x => x <= -50 && x >= -60))
+	assert.equal(true, sample(Arb.integer(undefined, 3), 5).every(x => x >= -5 && x <= 3))
+	assert.equal(true, sample(Arb.float(undefined, -50)).every(x => x <= -50))
+	for_all([Arb.integer(undefined, -50)], x => x <= -50)
+	assert.equal(true, sample(Arb.float(1, 2)).every(x => x >= 1 && x <= 2))
+	assert.deepEqual([false, true], Array.from(new Set(sample(Arb.boolean))).sort())
+	assert.equal(true, sample(Arb.element_of(['a', 'b'])).every(x => x === 'a' || x === 'b'))
+	assert.equal(true, sample(Arb.string({ chars: 'xy', min: 1, max: 3 })).every(x => /^[xy]{1,3}$/.test(x)))
+	assert.deepEqual([0, 5, 8, 9], Array.from(Arb.integer(0, 10).generate({ int: K(10) }, 10).shrinks(), get('value')))
+})
+
+Test('Arb structures', () => {
+	const random = new Random(1)
+	const sample = arb => construct(() => arb.generate(random, 10).value, 100)
+	assert.equal(true, sample(Arb.tuple(Arb.boolean, Arb.string())).every(([a, b]) => typeof a === 'boolean' && typeof b === 'string'))
+	assert.equal(true, sample(Arb.array_of(Arb.integer(), { min: 2, max: 4 })).every(xs => xs.length >= 2 && xs.length <= 4))
+	assert.equal(true, sample(Arb.object({ a: Arb.integer(), b: Arb.boolean })).every(x => equal(['a', 'b'], Object.keys(x))))
+	assert.equal(true, sample(Arb.map_of(Arb.string(), Arb.integer())).every(x => x instanceof Map))
+	assert.equal(true, sample(Arb.set_of(Arb.integer())).every(x => x instanceof Set))
+	assert.deepEqual(['number', 'string'], Array.from(new Set(sample(Arb.one_of(Arb.integer(), Arb.string())).map(x => typeof x))).sort())
+	const t = Arb.array_of(Arb.integer(1, 9), { min: 1 }).generate(random, 4)
+	assert.equal(true, Array.from(t.shrinks()).every(c => c.value.length >= 1))
+})
+
+Test('for_all', () => {
+	for_all([Arb.array_of(Arb.integer())], xs => equal(xs, xs.slice().reverse().reverse()))
+	const counterexample = (arbs, prop) => {
+		try { for_all(arbs, prop, { seed: 1 }) }
+		catch (e) { assert.equal(true, e instanceof PropertyError); return e.counterexample }
+		assert.fail('Property did not fail')
+	}
+	assert.deepEqual([100], counterexample([Arb.integer(0, 1000)], x => x < 100))
+	assert.deepEqual([[0, 0, 0]], counterexample([Arb.array_of(Arb.integer())], xs => xs.length < 3))
+	assert.deepEqual([[10]], counterexample([Arb.array_of(Arb.integer(0, 100))], xs => sum(xs) < 10))
+	const [a, b] = counterexample([Arb.integer(), Arb.integer()], (a, b) => a >= b)
+	assert.equal(1, b - a)
+	assert.equal(true, a === 0 || b === 0)
+	assert.deepEqual(['a'], counterexample([Arb.string()], x => { if (x.length > 0) throw new Error('not empty') }))
+	let seen = []
+	for_all([Arb.integer()], x => { seen.push(x) }, { seed: 2, runs: 10 })
+	let again = []
+	for_all([Arb.integer()], x => { again.push(x) }, { seed: 2, runs: 10 })
+	assert.deepEqual(seen, again)
+	assert.throws(() => for_all([Arb.integer()], K(false), { seed: 3 }), e =>
+		e.message.startsWith('Property failed after 1 runs with seed 3') && e.message.endsWith('Counterexample: [0]'))
+	assert.throws(() => for_all([Arb.map_of(Arb.string(), Arb.integer())], m => m.size === 0, { seed: 1 }), e =>
+		/Counterexample: \[Map \{".*" => -?\d+\}\]$/.test(e.message))
+	assert.throws(() => for_all([Arb.set_of(Arb.integer())], s => s.size === 0, { seed: 1 }), e =>
+		e.message.endsWith('Counterexample: [Set {0}]'))
+	assert.throws(() => for_all([Arb.integer()], async () => false), TypeError)
+})
+
+Test('properties', () => {
+	const ints = Arb.array_of(Arb.integer())
+	for_all([ints], xs => sum(Object.values(group(x => x % 3)(xs)).map(len)) === xs.length)
+	for_all([ints], xs => {
+		const [neg, pos] = partition(x => x < 0, x => x >= 0)(xs)
+		return neg.every(x => x < 0) && pos.every(x => x >= 0) && neg.length + pos.length === xs.length
+	})
+	for_all([Arb.array_of(ints)], xss => equal(xss.flat(), Array.from(flatten(1)(xss))))
+})
+
 Test('isIterable', () => {
 	assert.equal(false, isIterable(false))
 	assert.equal(false, isIterable({}))
@@ -733,6 +1561,83 @@ Test('flatten_until', () => {
 			([ 1, [ [ [ 2 ], 3 ] ] ])))
 })
 
+Test('zip', () => {
+	assert.deepEqual([[1, 'a'], [2, 'b']], Array.from(zip([1, 2, 3], 'ab')))
+	assert.deepEqual([[0, ['x', 1]], [1, ['y', 2]]], Array.from(zip(naturals(), new Map([['x', 1], ['y', 2]]))))
+	assert.deepEqual([], Array.from(zip()))
+	assert.deepEqual([], Array.from(zip([1], [])))
+	let taken = 0
+	const counted = function* () { for (const x of naturals()) { taken++; yield x } }
+	assert.deepEqual([[0, 'a']], Array.from(zip(counted(), 'a')))
+	assert.equal(2, taken)
+	assert.deepEqual([[0, 0], [1, 1]], Array.from(limit(2)(zip(naturals(), naturals()))))
+})
+
+Test('zip_with', () => {
+	assert.deepEqual([11, 22], Array.from(zip_with((a, b) => a + b)([1, 2, 3], [10, 20])))
+	assert.deepEqual([0, 2, 4], Array.from(limit(3)(zip_with((a, b) => a * b)(naturals(), map(K(2))(naturals())))))
+})
+
+Test('zip_longest', () => {
+	assert.deepEqual([[1, 'a'], [2, 'b'], [3, null]], Array.from(zip_longest(null)([1, 2, 3], 'ab')))
+	assert.deepEqual([[1, undefined]], Array.from(zip_longest()([1], [])))
+	assert.deepEqual([], Array.from(zip_longest()()))
+	assert.deepEqual([], Array.from(zip_longest()([], [])))
+})
+
+Test('unzip', () => {
+	assert.deepEqual([[1, 2, 3], ['a', 'b', 'c']], unzip(zip([1, 2, 3], 'abc')))
+	assert.deepEqual([['x', 'y'], [1, 2]], unzip(new Map([['x', 1], ['y', 2]])))
+	assert.deepEqual([[1, 2], [undefined, 'b']], unzip([[1], [2, 'b']]))
+	assert.deepEqual([[1, 2], [0, 'b']], unzip([[1], [2, 'b']], 0))
+	assert.deepEqual([], unzip([]))
+})
+
+Test('chunk', () => {
+	assert.deepEqual([[1, 2], [3, 4], [5]], Array.from(chunk(2)([1, 2, 3, 4, 5])))
+	assert.deepEqual([[1, 2], [3, 4], [5]], Array.from(chunk(2)(new Set([1, 2, 3, 4, 5]))))
+	assert.deepEqual([['a', 'b', 'c']], Array.from(chunk(5)('abc')))
+	assert.deepEqual([], Array.from(chunk(2)([])))
+	assert.deepEqual([[0, 1], [2, 3]], Array.from(limit(2)(chunk(2)(naturals()))))
+	assert.throws(() => Array.from(chunk(0)([1])), RangeError)
+})
+
+Test('windowed', () => {
+	assert.deepEqual([[1, 2, 3], [2, 3, 4], [3, 4, 5]], Array.from(windowed(3)([1, 2, 3, 4, 5])))
+	assert.deepEqual([[1, 2, 3], [2, 3, 4], [3, 4, 5]], Array.from(windowed(3)(new Set([1, 2, 3, 4, 5]))))
+	assert.deepEqual([[1, 2], [3, 4]], Array.from(windowed(2, 2)([1, 2, 3, 4, 5])))
+	assert.deepEqual([[1, 2], [3, 4]], Array.from(windowed(2, 2)(new Set([1, 2, 3, 4, 5]))))
+	assert.deepEqual([[1, 2], [4, 5]], Array.from(windowed(2, 3)([1, 2, 3, 4, 5])))
+	assert.deepEqual([[1, 2], [4, 5]], Array.from(windowed(2, 3)(new Set([1, 2, 3, 4, 5]))))
+	assert.deepEqual([], Array.from(windowed(3)([1, 2])))
+	assert.deepEqual([[0, 1, 2], [1, 2, 3]], Array.from(limit(2)(windowed(3)(naturals()))))
+	assert.deepEqual([2, 3, 4, 5], Array.from(windowed(3)([1, 2, 3, 4, 5, 6]), average))
+	assert.throws(() => Array.from(windowed(2, 0)([1])), RangeError)
+})
+
+Test('pairwise', () => {
+	assert.deepEqual([[1, 2], [2, 3]], Array.from(pairwise([1, 2, 3])))
+	assert.deepEqual([['a', 'b']], Array.from(pairwise('ab')))
+	assert.deepEqual([], Array.from(pairwise([1])))
+})
+
+Test('partition_by', () => {
+	assert.deepEqual([[1, 3], [2, 4], [5]], Array.from(partition_by(x => x % 2)([1, 3, 2, 4, 5])))
+	assert.deepEqual([['a', 'a'], ['b'], ['a']], Array.from(partition_by(I)('aaba')))
+	assert.deepEqual([[{ k: [1] }, { k: [1] }]], Array.from(partition_by(get('k'))([{ k: [1] }, { k: [1] }])))
+	assert.deepEqual([], Array.from(partition_by(I)([])))
+	assert.deepEqual([[0, 1, 2]], Array.from(limit(1)(partition_by(x => x < 3)(naturals()))))
+})
+
+Test('split_when', () => {
+	const gap = (a, b) => b - a > 1
+	assert.deepEqual([[1, 2, 3], [5, 6], [9]], Array.from(split_when(gap)([1, 2, 3, 5, 6, 9])))
+	assert.deepEqual([[1, 2, 3], [5, 6], [9]], Array.from(split_when(gap)(new Set([1, 2, 3, 5, 6, 9]))))
+	assert.deepEqual([[1]], Array.from(split_when(gap)([1])))
+	assert.deepEqual([], Array.from(split_when(gap)([])))
+	assert.deepEqual([[0], [1], [2]], Array.from(limit(3)(split_when(K(true))(naturals()))))
+})
+
 Test('map', (function() {
 	assert.deepEqual([2,3,4], Array.from(map(add(1))([1,2,3])))
 }))
@@ -749,6 +1654,76 @@ Test('find_many', () => {
 	assert.deepEqual([1, 2, 5], find_many(is(1), is(2), is(5))(xs))
 })
 
+Test('limit', () => {
+	assert.deepEqual([0, 1, 2], Array.from(limit(3)(naturals())))
+	assert.deepEqual([1, 2], Array.from(limit(3)([1, 2])))
+	assert.deepEqual([], Array.from(limit(0)(naturals())))
+})
+
+Test('take_while', () => {
+	assert.deepEqual([0, 1, 2], Array.from(take_while(lt(3))(naturals())))
+	assert.deepEqual([], Array.from(take_while(lt(3))([5, 1])))
+})
+
+Test('drop_while', () => {
+	assert.deepEqual([3, 1, 4], Array.from(drop_while(lt(3))([1, 2, 3, 1, 4])))
+	assert.deepEqual([3, 4, 5], Array.from(limit(3)(drop_while(lt(3))(naturals()))))
+	assert.deepEqual([], Array.from(drop_while(K(true))([1, 2])))
+})
+
+Test('drop', () => {
+	assert.deepEqual([3, 4], Array.from(drop(2)([1, 2, 3, 4])))
+	assert.deepEqual([], Array.from(drop(5)([1, 2])))
+	assert.deepEqual([1, 2], Array.from(drop(0)([1, 2])))
+	assert.deepEqual([10, 11], Array.from(limit(2)(drop(10)(naturals()))))
+})
+
+Test('split_at', () => {
+	const [a, b] = split_at(2)([1, 2, 3, 4])
+	assert.deepEqual([1, 2], Array.from(a))
+	assert.deepEqual([3, 4], Array.from(b))
+	const [c, d] = split_at(3)(naturals())
+	assert.deepEqual([3, 4], Array.from(limit(2)(d)))
+	assert.deepEqual([0, 1, 2], Array.from(c))
+	const [e] = split_at(2)(naturals())
+	assert.deepEqual([0], Array.from(limit(1)(e)))
+	const [g, h] = split_at(5)([1, 2])
+	assert.deepEqual([], Array.from(h))
+	assert.deepEqual([1, 2], Array.from(g))
+})
+
+Test('cycle', () => {
+	assert.deepEqual([1, 2, 3, 1, 2, 3, 1], Array.from(limit(7)(cycle([1, 2, 3]))))
+	assert.deepEqual([0, 1, 0, 1], Array.from(limit(4)(cycle(limit(2)(naturals())))))
+	assert.deepEqual([0, 1, 2], Array.from(limit(3)(cycle(naturals()))))
+	assert.deepEqual([], Array.from(cycle([])))
+})
+
+Test('repeat', () => {
+	assert.deepEqual(['a', 'a', 'a'], Array.from(repeat('a', 3)))
+	assert.deepEqual([1, 1], Array.from(limit(2)(repeat(1))))
+	assert.deepEqual([], Array.from(repeat(1, 0)))
+})
+
+Test('interleave', () => {
+	assert.deepEqual([1, 'a', 2, 'b', 3], Array.from(interleave([1, 2, 3], 'ab')))
+	assert.deepEqual([0, 'x', 1, 'x', 2], Array.from(limit(5)(interleave(naturals(), repeat('x')))))
+	assert.deepEqual([], Array.from(interleave()))
+})
+
+Test('intersperse', () => {
+	assert.deepEqual([1, 0, 2, 0, 3], Array.from(intersperse(0)([1, 2, 3])))
+	assert.deepEqual([1], Array.from(intersperse(0)([1])))
+	assert.deepEqual([0, ',', 1, ','], Array.from(limit(4)(intersperse(',')(naturals()))))
+})
+
+Test('last_n', () => {
+	assert.deepEqual([3, 4, 5], Array.from(last_n(3)([1, 2, 3, 4, 5])))
+	assert.deepEqual([1, 2], Array.from(last_n(3)([1, 2])))
+	assert.deepEqual([], Array.from(last_n(0)([1, 2])))
+	assert.deepEqual([7, 8, 9], Array.from(last_n(3)(limit(10)(naturals()))))
+})
+
 Test('empty', () => {
 	assert.equal(true, empty({}))
 	assert.equal(true, empty([]))
@@ -787,15 +1762,542 @@ Test('plist_to_alist', () => {
 		Object.fromEntries(plist_to_alist([ 'a', 1, 'b', 2 ])))
 })
 
+Test('RunningStats', () => {
+	const stats = RunningStats.from([2, 4, 4, 4, 5, 5, 7, 9])
+	assert.equal(8, stats.count)
+	assert.equal(5, stats.mean)
+	assert.equal(2, stats.min)
+	assert.equal(9, stats.max)
+	assert.equal(4, stats.variance({ sample: false }))
+	assert.equal(2, stats.stddev({ sample: false }))
+	assert.equal(32/7, stats.variance())
+	assert.equal(true, Number.isNaN(new RunningStats().mean))
+	assert.equal(true, Number.isNaN(new RunningStats().push(1).variance()))
+	assert.equal(0, new RunningStats().push(1).variance({ sample: false }))
+	const big = RunningStats.from([4, 7, 13, 16], x => x + 1e9)
+	assert.equal(30, big.variance())
+	assert.equal(10, RunningStats.from([{ x: 10 }], get('x')).mean)
+})
+
+Test('variance', () => {
+	assert.equal(32/7, variance()([2, 4, 4, 4, 5, 5, 7, 9]))
+	assert.equal(1.25, variance(I, { sample: false })(new Set([1, 2, 3, 4])))
+	assert.equal(2, stddev(I, { sample: false })([2, 4, 4, 4, 5, 5, 7, 9]))
+	assert.equal(2, stddev(get('x'), { sample: false })([2, 4, 4, 4, 5, 5, 7, 9].map(x => ({ x }))))
+	assert.equal(true, Number.isNaN(stddev()([])))
+})
+
+Test('percentile', () => {
+	const xs = [15, 20, 35, 40, 50]
+	assert.equal(15, percentile(0)(xs))
+	assert.equal(50, percentile(100)(xs))
+	assert.equal(29, percentile(40)(xs))
+	assert.equal(20, percentile(40, I, { interpolation: 'lower' })(xs))
+	assert.equal(35, percentile(40, I, { interpolation: 'higher' })(xs))
+	assert.equal(35, percentile(40, I, { interpolation: 'nearest' })(xs))
+	assert.equal(27.5, percentile(40, I, { interpolation: 'midpoint' })(xs))
+	assert.equal(29, percentile(40, get('x'))(xs.map(x => ({ x }))))
+	assert.equal(true, Number.isNaN(percentile(50)([])))
+	assert.throws(() => percentile(50, I, { interpolation: 'bad' })(xs))
+})
+
+Test('quantiles', () => {
+	assert.deepEqual([2.5, 5, 7.5], quantiles(4)([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]))
+	assert.deepEqual([2, 5, 7], quantiles(4, I, { interpolation: 'lower' })([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]))
+	assert.deepEqual([], quantiles(1)([1, 2]))
+})
+
+Test('median', () => {
+	assert.equal(2, median()([3, 1, 2]))
+	assert.equal(2.5, median()(new Set([4, 1, 3, 2])))
+	assert.equal(2, median(get('x'))([{ x: 3 }, { x: 1 }, { x: 2 }]))
+})
+
+Test('mode', () => {
+	assert.equal(3, mode()([1, 3, 2, 3, 1, 3]))
+	assert.equal(1, mode()([1, 2, 2, 1]))
+	assert.equal('a', mode(get('x'))([{ x: 'a' }, { x: 'b' }, { x: 'a' }]))
+	assert.equal(null, mode()([]))
+})
+
+Test('histogram', () => {
+	assert.deepEqual([
+		{ range: new Range(0, 5, { bounds: '[)' }), count: 2 },
+		{ range: new Range(5, 10, { bounds: '[]' }), count: 3 },
+	], histogram(2)([0, 4, 5, 9, 10]))
+	assert.deepEqual([1, 2, 0], histogram([0, 1, 10, 100])([0.5, 1, 5, -1, 1000]).map(get('count')))
+	assert.deepEqual([1, 1], histogram([0, 1, 2], get('x'))([{ x: 0 }, { x: 2 }]).map(get('count')))
+})
+
+Test('covariance', () => {
+	const xs = [[1, 2], [2, 4], [3, 6], [4, 8]]
+	assert.equal(10/3, covariance()(xs))
+	assert.equal(2.5, covariance(first, second, { sample: false })(xs))
+	assert.equal(10/3, covariance(get('a'), get('b'))(xs.map(([a, b]) => ({ a, b }))))
+	assert.equal(true, Number.isNaN(covariance()([])))
+})
+
+Test('correlation', () => {
+	assert.equal(1, correlation()([[1, 2], [2, 4], [3, 6]]))
+	assert.equal(-1, correlation()([[1, 3], [2, 2], [3, 1]]))
+	assert.equal(0, correlation()([[1, 1], [2, 0], [3, 0], [4, 1]]))
+})
+
+Test('Seq', () => {
+	assert.deepEqual([4, 16, 36], Seq.from(naturals()).filter(x => x > 0 && x % 2 === 0).map(pow(2)).take(3).toArray())
+	assert.deepEqual([[0, 1], [1, 3], [2, 6]], Seq.from([1, 2, 3]).scanl(add, 0).enumerate().toArray())
+	assert.deepEqual([1, 1, 2, 2], Seq.from([1, 2]).bind(x => [x, x]).toArray())
+	assert.deepEqual([1, 2, 3], Array.from(Seq.from([[1], [2, 3]]).flatten()))
+	assert.deepEqual([3, 4], Seq.from([1, 2, 3, 4]).pipe(filter(gt(2))).toArray())
+
+	const reused = Seq.from([1, 2, 3]).map(x => x * 2)
+	assert.deepEqual([2, 4, 6], reused.toArray())
+	assert.deepEqual([2, 4, 6], reused.toArray())
+	assert.equal(12, reused.sum())
+	assert.deepEqual([4, 6], reused.filter(gt(2)).toArray())
+	const once = Seq.from(naturals()).take(2)
+	assert.deepEqual([0, 1], once.toArray())
+	assert.deepEqual([], once.toArray())
+
+	let seen = 0
+	const lazy = Seq.from([1, 2, 3]).map(x => { seen++ ; return x })
+	assert.equal(0, seen)
+	assert.equal(2, lazy.find(is(2)))
+	assert.equal(2, seen)
+
+	const xs = [1, 2, 2, 3]
+	assert.equal(8, Seq.from(xs).sum())
+	assert.equal(2, Seq.from(xs).average())
+	assert.equal(3, Seq.from(xs).maximum())
+	assert.equal(3, Seq.from(xs).minimum(x => -x))
+	assert.deepEqual({ 1: 1, 2: 2, 3: 1 }, Seq.from(xs).count())
+	assert.equal(4, Seq.from(xs).len())
+	assert.deepEqual({ true: [2, 2], false: [1, 3] }, Seq.from(xs).group(divisible(2)))
+	assert.equal('1,2,2,3', Seq.from(xs).join(','))
+	assert.equal(true, Seq.from(xs).some(is(3)))
+	assert.equal(false, Seq.from(xs).every(is(3)))
+	assert.equal('1223', Seq.from(xs).foldl(a => b => a + b, ''))
+	assert.deepEqual(new Set([1, 2, 3]), Seq.from(xs).toSet())
+})
+
+Test('transduce', () => {
+	assert.equal(12, transduce(B(tmap(add(1)))(tfilter(divisible(2))), add, 0, [1, 2, 3, 4, 5]))
+	assert.equal(10, transduce(tlimit(5), add, 0, naturals()))
+	assert.equal(3, transduce(I, a => x => x === 3 ? reduced(x) : a, null, naturals()))
+})
+
+Test('into', () => {
+	const xf = B(tfilter(divisible(2)))(tmap(add(1)))
+	const xs = [1, 2, 3, 4]
+	const target = [0]
+	assert.deepEqual([0, 3, 5], into(target, xf, xs))
+	assert.deepEqual([0], target)
+	assert.deepEqual(new Set([3, 5]), into(new Set(), xf, xs))
+	assert.equal('35', into('', xf, xs))
+	assert.deepEqual(new Map([[0, 2], [1, 4]]), into(new Map(), B(tfilter(divisible(2)))(tenumerate), xs))
+	assert.deepEqual({ a: 2 }, into({}, tmap(Duad.prefix('a')), [1, 2]))
+})
+
+Test('tcompose', () => {
+	const xf = tcompose(tfilter(divisible(2)), tmap(mult(10)), tlimit(2))
+	assert.deepEqual([0, 20], into([], xf, naturals()))
+})
+
+Test('tmap', () => {
+	assert.deepEqual([2, 3, 4], into([], tmap(add(1)), [1, 2, 3]))
+})
+
+Test('tfilter', () => {
+	assert.deepEqual([2], into([], tfilter(divisible(2)), [1, 2, 3]))
+})
+
+Test('tlimit', () => {
+	let seen = 0
+	const xf = B(tmap(x => { seen++ ; return x }))(tlimit(2))
+	assert.deepEqual([0, 1], into([], xf, naturals()))
+	assert.equal(2, seen)
+	assert.deepEqual([], into([], tlimit(0), naturals()))
+	assert.deepEqual([1], into([], B(tlimit(1))(tlimit(2)), [1, 2, 3]))
+})
+
+Test('tflatten', () => {
+	assert.deepEqual([1, 2, 3, 4], into([], tflatten(2), [[[1], [2]], [[3], [4]]]))
+	assert.deepEqual([1, [2]], into([], tflatten(1), [[1, [2]]]))
+	assert.deepEqual([1, 2], into([], B(tflatten(1))(tlimit(2)), [[1, 2, 3], [4]]))
+})
+
+Test('tenumerate', () => {
+	assert.deepEqual([[0, 'a'], [1, 'b']], into([], tenumerate, 'ab'))
+})
+
+Test('tscanl', () => {
+	assert.deepEqual([1, 3, 6], into([], tscanl(add)(0), [1, 2, 3]))
+})
+
+async function* anumbers(n) { for (let i = 1; i <= n; i++) { await sleep(0) ; yield i } }
+
+Test('acollect', async () => {
+	assert.deepEqual([1, 2, 3], await acollect(anumbers(3)))
+	assert.deepEqual([1, 2, 3], await acollect([1, 2, 3]))
+})
+
+Test('amap', async () => {
+	assert.deepEqual([2, 3, 4], await acollect(amap(add(1))(anumbers(3))))
+	assert.deepEqual([2, 3, 4], await acollect(amap(async x => x + 1)([1, 2, 3])))
+
+	let running = 0
+	let most = 0
+	const slow = async x => {
+		most = Math.max(most, ++running)
+		await sleep(x)
+		running--
+		return x
+	}
+	assert.deepEqual([30, 10, 20], await acollect(amap(slow, { concurrency: 3 })([30, 10, 20])))
+	assert.equal(3, most)
+	most = 0
+	assert.deepEqual([10, 20, 30], await acollect(amap(slow, { concurrency: 3, ordered: false })([30, 10, 20])))
+	most = 0
+	await acollect(amap(slow, { concurrency: 2 })([5, 5, 5, 5]))
+	assert.equal(2, most)
+
+	let closed = false
+	const source = async function* () {
+		try { yield* [1, 2, 3, 4] }
+		finally { closed = true }
+	}
+	for await (const x of amap(add(1), { concurrency: 2 })(source())) break
+	assert.equal(true, closed)
+
+	let read = 0
+	let yielded = 0
+	let ahead = 0
+	const counted = async function* () { for (let x = 0; x < 10; x++) { read++ ; yield x } }
+	for await (const x of amap(x => x === 0 ? sleep(20) : x, { concurrency: 2 })(counted())) {
+		yielded++
+		ahead = Math.max(ahead, read - yielded)
+	}
+	assert.equal(10, yielded)
+	assert.equal(true, ahead <= 2)
+})
+
+Test('afilter', async () => {
+	assert.deepEqual([2, 4], await acollect(afilter(divisible(2))(anumbers(5))))
+	assert.deepEqual([1], await acollect(afilter(async x => x === 1)(anumbers(5))))
+})
+
+Test('alimit', async () => {
+	assert.deepEqual([1, 2], await acollect(alimit(2)(anumbers(5))))
+	assert.deepEqual([], await acollect(alimit(0)(anumbers(5))))
+})
+
+Test('aenumerate', async () => {
+	assert.deepEqual([[0, 1], [1, 2]], await acollect(aenumerate(anumbers(2))))
+})
+
+Test('afold', async () => {
+	assert.equal(6, await afoldl(add)(0)(anumbers(3)))
+	assert.equal('321', await afoldr(a => b => a + b)('')(anumbers(3)))
+	assert.equal('123', await afoldl(a => async b => a + b)('')(anumbers(3)))
+})
+
+Test('ascan', async () => {
+	assert.deepEqual([1, 3, 6], await acollect(ascanl(add)(0)(anumbers(3))))
+	assert.deepEqual(['1', '21', '321'], await acollect(ascanr(a => b => a + b)('')(anumbers(3))))
+})
+
+Test('afind', async () => {
+	assert.equal(2, await afind(divisible(2))(anumbers(5)))
+	assert.equal(null, await afind(is(10))(anumbers(5)))
+})
+
+Test('aevery', async () => {
+	assert.equal(true, await aevery(gt(0))(anumbers(5)))
+	assert.equal(false, await aevery(async x => x < 3)(anumbers(5)))
+})
+
+Test('asome', async () => {
+	assert.equal(true, await asome(is(3))(anumbers(5)))
+	assert.equal(false, await asome(is(10))(anumbers(5)))
+})
+
 Test('memo', function() {
 	const fun = memo((a, b) => [a, b])
 	assert.equal(fun(1, 2), fun(1, 2))
+	assert.notEqual(fun(1, 2), fun(2, 1))
+	const o = {}
+	assert.equal(fun(o, 1), fun(o, 1))
+	assert.notEqual(fun(o, 1), fun({}, 1))
+	assert.deepEqual({ hits: 4, misses: 4, size: 4 }, fun.stats())
+
+	fun.delete(o, 1)
+	assert.equal(3, fun.stats().size)
+	fun.clear()
+	assert.equal(0, fun.stats().size)
+})
+
+Test('memo max', () => {
+	let calls = 0
+	const fun = memo(x => { calls++ ; return x }, { max: 2 })
+	fun(1) ; fun(2) ; fun(1) ; fun(3)
+	assert.equal(3, calls)
+	fun(1)
+	assert.equal(3, calls)
+	fun(2)
+	assert.equal(4, calls)
+	assert.equal(2, fun.stats().size)
+})
+
+Test('memo ttl', () => {
+	let time = 0
+	let calls = 0
+	const fun = memo(x => ++calls, { ttl: 10, now: () => time })
+	assert.equal(1, fun('a'))
+	time = 9
+	assert.equal(1, fun('a'))
+	time = 10
+	assert.equal(2, fun('a'))
+	assert.equal(2, fun('a'))
+	assert.equal(1, fun.stats().size)
+
+	for (let i = 0; i < 100; i++) {
+		time += 1
+		fun(i)
+	}
+	assert.equal(10, fun.stats().size)
+	time += 10
+	fun('b')
+	assert.equal(1, fun.stats().size)
+
+	const pair = memo((x, y) => ++calls, { ttl: 10, now: () => time })
+	const before = calls
+	pair(1, 2)
+	time += 10
+	pair(1)
+	pair(1)
+	assert.equal(before + 2, calls)
+})
+
+Test('memo key', () => {
+	let calls = 0
+	const fun = memo(x => { calls++ ; return x.name }, { key: x => x.id })
+	assert.equal('Bob', fun({ id: 1, name: 'Bob' }))
+	assert.equal('Bob', fun({ id: 1, name: 'Rob' }))
+	assert.equal(1, calls)
+})
+
+Test('retry', async () => {
+	const flaky = (n, e=new Error('flaky')) => {
+		let calls = 0
+		return async x => { if (++calls <= n) throw e ; else return x }
+	}
+	const delays = []
+	const wait = async ms => { delays.push(ms) }
+
+	assert.equal(1, await retry({ sleep: wait })(flaky(3))(1))
+	assert.deepEqual([100, 200, 400], delays)
+
+	delays.length = 0
+	await retry({ sleep: wait, backoff: 'linear', delay: 10, max_delay: 15 })(flaky(3))(1)
+	assert.deepEqual([10, 15, 15], delays)
+
+	delays.length = 0
+	await retry({ sleep: wait, backoff: 'constant', jitter: 0.5, random: K(1) })(flaky(2))(1)
+	assert.deepEqual([50, 50], delays)
+
+	await assert.rejects(retry({ times: 2, sleep: wait })(flaky(5))(1), e =>
+		e instanceof RetryError && e.reason === 'exhausted' && e.attempts === 3 && e.errors.length === 3)
+
+	const fatal = new Error('fatal')
+	await assert.rejects(retry({ sleep: wait, when: e => e !== fatal })(flaky(5, fatal))(1), e =>
+		e.reason === 'not_retryable' && e.attempts === 1 && e.cause === fatal)
+})
+
+Test('timeout', async () => {
+	assert.equal(1, await timeout(50)(async x => x)(1))
+	await assert.rejects(timeout(1)(() => new Promise(I))(), e => e instanceof TimeoutError && e.ms === 1)
+	await assert.rejects(timeout(50)(async () => { throw new Error('no') })(), { message: 'no' })
+})
+
+Test('with_fallback', async () => {
+	const fail = async () => { throw new Error('no') }
+	assert.equal('no 1', await with_fallback((e, x) => e.message + ' ' + x)(fail)(1))
+	assert.equal(1, await with_fallback(K(2))(async x => x)(1))
+})
+
+Test('circuit_breaker', async () => {
+	let time = 0
+	let up = false
+	const service = circuit_breaker({ threshold: 2, reset: 100, now: () => time })(async () => {
+		if (up) return 'ok'
+		else throw new Error('down')
+	})
+
+	await assert.rejects(service(), { message: 'down' })
+	assert.equal('closed', service.state())
+	await assert.rejects(service(), { message: 'down' })
+	assert.equal('open', service.state())
+	await assert.rejects(service(), e => e instanceof CircuitOpenError && e.failures === 2 && e.retry_at === 100)
+
+	time = 100
+	assert.equal('half_open', service.state())
+	await assert.rejects(service(), { message: 'down' })
+	assert.equal('open', service.state())
+
+	time = 200
+	up = true
+	assert.equal('ok', await service())
+	assert.equal('closed', service.state())
+})
+
+Test('Task', async () => {
+	let runs = 0
+	const task = new Task((_, resolve) => { runs++ ; resolve(1) })
+	const doubled = task.map(mult(2))
+	assert.equal(0, runs)
+	assert.equal(2, await doubled.run())
+	assert.equal(2, await doubled.run())
+	assert.equal(2, runs)
+
+	assert.equal(3, await Task.of(1).chain(x => Task.sleep(1).map(K(x + 2))).run())
+	assert.equal('oops', await Task.rejected(new Error('oops')).orElse(e => Task.of(e.message)).run())
+	await assert.rejects(Task.of(1).map(() => { throw new Error('map') }).run(), { message: 'map' })
+	await assert.rejects(new Task(() => { throw new Error('sync') }).run(), { message: 'sync' })
+	await assert.rejects(Task.of(1).chain(x => x + 1).run(), TypeError)
+	await assert.rejects(Task.rejected(new Error('e')).orElse(K(1)).run(), TypeError)
+	assert.equal(3, await bind(x => x + 1)(Task.of(2)).run())
+
+	let fired = false
+	const cancel = Task.sleep(5).map(() => fired = true).fork(I, I)
+	cancel()
+	await sleep(10)
+	assert.equal(false, fired)
+
+	const controller = new AbortController()
+	const aborted = Task.sleep(50).run(controller.signal)
+	controller.abort(new Error('aborted'))
+	await assert.rejects(aborted, { message: 'aborted' })
+
+	const listeners = new Set()
+	const signal = {
+		aborted: false,
+		addEventListener: (_, f) => listeners.add(f),
+		removeEventListener: (_, f) => listeners.delete(f),
+	}
+	assert.equal(1, await Task.sleep(1).map(K(1)).run(signal))
+	await assert.rejects(Task.sleep(1).chain(() => Task.rejected(new Error('late'))).run(signal), { message: 'late' })
+	assert.equal(2, await Task.of(2).run(signal))
+	assert.equal(0, listeners.size)
+})
+
+Test('Task.race', async () => {
+	let slow_done = false
+	const slow = Task.sleep(20).map(() => slow_done = true)
+	assert.equal('fast', await Task.race([ slow, Task.sleep(1).map(K('fast')) ]).run())
+	await sleep(30)
+	assert.equal(false, slow_done)
+})
+
+Test('Task.all', async () => {
+	assert.deepEqual([1, 2], await Task.all([ Task.sleep(5).map(K(1)), Task.of(2) ]).run())
+	assert.deepEqual([], await Task.all([]).run())
+	await assert.rejects(Task.all([ Task.sleep(5), Task.rejected(new Error('no')) ]).run(), { message: 'no' })
+})
+
+Test('Task.timeout', async () => {
+	await assert.rejects(Task.sleep(50).timeout(1).run(), TimeoutError)
+	assert.equal(1, await Task.of(1).timeout(50).run())
 })
 
 Test('union', () => {
 	assert.deepEqual(new Set([1,2,3,4,5]), union([ new Set([1,2]), new Set([1,3]), new Set([2,3,4,5]) ]))
 })
 
+Test('hash', () => {
+	const same = (a, b) => assert.equal(hash(a), hash(b))
+	same({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })
+	same({ a: 1, b: 2 }, { b: 2, a: 1 })
+	same(new Map([[{ k: 1 }, 'x'], ['y', 2]]), new Map([['y', 2], [{ k: 1 }, 'x']]))
+	same(new Set([[1], [2]]), new Set([[2], [1]]))
+	same(NaN, NaN)
+	same(-0, 0)
+	same(new Date(5), new Date(5))
+	same(new Uint8Array([1, 2]), new Uint8Array([1, 2]))
+	assert.notEqual(hash(1), hash('1'))
+	assert.notEqual(hash([1, 2]), hash([2, 1]))
+	assert.notEqual(hash({ a: 1 }), hash({ a: 2 }))
+	same(new Error('a', { cause: [1] }), new Error('a', { cause: [1] }))
+	assert.notEqual(hash(new Error('a')), hash(new Error('b')))
+	assert.notEqual(hash(new Error('a', { cause: 1 })), hash(new Error('a', { cause: 2 })))
+	const e = new Error('e')
+	e.cause = e
+	assert.equal(true, Number.isInteger(hash(e)))
+	assert.equal(true, Number.isInteger(hash({})) && hash({}) >= 0)
+
+	const x = { a: 1 }
+	x.self = x
+	const y = { a: 1 }
+	y.self = y
+	same(x, y)
+
+	same([, 1], [undefined, 1])
+	assert.equal('x', new HashMap([[[, 1], 'x']]).get([undefined, 1]))
+
+	const a = {}
+	a.self = a
+	const b = { self: {} }
+	b.self.self = b
+	const c = { self: a }
+	assert.equal(true, equal(a, b) && equal(a, c))
+	same(a, b)
+	same(a, c)
+	assert.equal('a', new HashMap([[a, 'a']]).get(b))
+
+	const d = [1, [2, 3]]
+	same(d, [1, [2, 3]])
+	same({ x: d, y: d }, { x: [1, [2, 3]], y: [1, [2, 3]] })
+})
+
+Test('HashMap', () => {
+	const m = new HashMap([[{ id: 1 }, 'a'], [[1, 2], 'b']])
+	assert.equal('a', m.get({ id: 1 }))
+	assert.equal('b', m.get([1, 2]))
+	assert.equal(undefined, m.get({ id: 2 }))
+	m.set({ id: 1 }, 'c')
+	assert.equal(2, m.size)
+	assert.equal('c', m.get({ id: 1 }))
+	assert.deepEqual([[{ id: 1 }, 'c'], [[1, 2], 'b']], Array.from(m))
+	assert.equal(true, m.delete([1, 2]))
+	assert.equal(false, m.delete([1, 2]))
+	assert.equal(false, m.has([1, 2]))
+	m.set(undefined, 1)
+	assert.equal(true, m.has(undefined))
+	assert.equal(1, m.get(undefined))
+	assert.equal(undefined, m.get({ id: 3 }))
+	assert.equal(true, has({ id: 1 })(m))
+	assert.equal(2, len(m))
+	m.clear()
+	assert.equal(0, m.size)
+
+	const groups = HashMap.group(get('at'))([{ at: { x: 1 }, n: 1 }, { at: { x: 1 }, n: 2 }, { at: { x: 2 }, n: 3 }])
+	assert.deepEqual([1, 2], groups.get({ x: 1 }).map(get('n')))
+	assert.equal(2, groups.size)
+})
+
+Test('HashSet', () => {
+	const s = new HashSet([{ id: 1 }, { id: 1 }, { id: 2 }, [1], [1]])
+	assert.equal(3, s.size)
+	assert.equal(true, s.has({ id: 2 }))
+	assert.equal(true, inside(s)([1]))
+	assert.equal(false, inside(s)([2]))
+	assert.equal(3, len(s))
+	s.delete({ id: 2 })
+	assert.deepEqual([{ id: 1 }, [1]], Array.from(s))
+	const u = union([ s, new HashSet([{ id: 1 }, { id: 3 }]) ])
+	assert.equal(true, u instanceof HashSet)
+	assert.deepEqual([{ id: 1 }, [1], { id: 3 }], Array.from(u))
+})
+
 Test('duad', () => {
 	assert.deepEqual([1,2], Duad(1,2))
 })
@@ -841,6 +2343,16 @@ Test('duad.flip', () => {
 	assert.deepEqual([2,1], Duad.flip([1,2]))
 })
 
+Test('duad.zip', () => {
+	assert.deepEqual([[1, 'a'], [2, 'b']], Array.from(Duad.zip([1, 2, 3], 'ab')))
+})
+
+Test('duad.unzip', () => {
+	assert.deepEqual([['x', 'y'], [1, 2]], Duad.unzip(new Map([['x', 1], ['y', 2]])))
+	assert.deepEqual([[], []], Duad.unzip([]))
+	assert.deepEqual([[1, 2], ['a', 'b']], Duad.unzip(Duad.zip([1, 2], 'ab')))
+})
+
 Test('split', () => {
 	const x = '1 2 3'
 	assert.deepEqual(x.split(' '), split(' ')(x))
@@ -888,9 +2400,71 @@ Test('print', () => {
 Test('tuple', () => {
 	assert.equal(tuple(1,2,3), tuple(1,2,3))
 	assert.equal(tuple(), tuple())
+	assert.notEqual(tuple(1,2), tuple(2,1))
+	assert.equal(tuple([1, { x: 2 }]), tuple([1, { x: 2 }]))
+	assert.equal(tuple(2, 3), tuple(1, [2, 3])[1])
+	assert.equal(true, Object.isFrozen(tuple(1)))
+	assert.equal(true, is_tuple(tuple(1)))
+	assert.equal(false, is_tuple([1]))
+	const m = new Map([[tuple('a', 1), 'yes']])
+	assert.equal('yes', m.get(tuple('a', 1)))
 })
 
 Test('record', () => {
 	assert.equal(record(), record())
 	assert.equal(record({ a: 1, b: 2}), record({ b: 2, a: 1 }))
+	assert.equal(record({ a: { b: [1] } }), record({ a: { b: [1] } }))
+	assert.deepEqual({ a: 1, b: 2 }, record({ b: 2, a: 1 }))
+	assert.deepEqual(['a', 'b'], Object.keys(record({ b: 2, a: 1 })))
+	assert.equal(true, Object.isFrozen(record({ a: { b: 1 } }).a))
+	assert.equal(true, is_record(record({ a: 1 })))
+	assert.equal(false, is_record({ a: 1 }))
+	assert.equal(false, is_record(tuple()))
+	assert.notEqual(record({ a: 1 }), record({ a: '1' }))
+})
+
+Test('diff', () => {
+	const a = { x: 1, y: [1, 2], m: new Map([['k', 1]]), s: new Set([1, 2]) }
+	const b = { x: 1, y: [1], m: new Map([['k', 2]]), s: new Set([2, 3]), z: undefined }
+	assert.deepEqual([], diff(a, a))
+	assert.deepEqual([{ op: 'replace', path: [], from: 1, to: '1' }], diff(1, '1'))
+	assert.deepEqual([], diff(new Date(0), new Date(0)))
+	assert.deepEqual([], diff({ r: /a/g }, { r: /a/g }))
+	assert.equal(1, diff(new Date(0), new Date(1)).length)
+	assert.deepEqual(
+		[
+			{ op: 'delete', path: ['y', 1], value: 2 },
+			{ op: 'replace', path: ['m', 'k'], from: 1, to: 2 },
+			{ op: 'set_delete', path: ['s'], value: 1 },
+			{ op: 'set_add', path: ['s'], value: 3 },
+			{ op: 'add', path: ['z'], value: undefined },
+		],
+		diff(a, b)
+	)
+})
+
+Test('patch', () => {
+	const a = () => ({ x: { y: [1, 2, 3] }, m: new Map([['k', 1], ['j', 2]]), s: new Set([1, 2]), n: null })
+	const b = { x: { y: [1, 5], z: 1 }, m: new Map([['k', { v: 1 }]]), s: new Set([2, 3]) }
+	assert.deepEqual(b, patch(diff(a(), b))(a()))
+	assert.deepEqual([1, 2], patch(diff([1], [1, 2]))([1]))
+	assert.equal(2, patch(diff(1, 2))(1))
+
+	const x = a()
+	assert.deepEqual(b, patch(diff(x, b))(x))
+	assert.deepEqual(a(), x)
+	const server = { x: { y: 1 }, m: new Map() }
+	const client = patch(diff({ m: new Map() }, server))({ m: new Map() })
+	const next = patch([{ op: 'replace', path: ['x', 'y'], from: 1, to: 2 }])(client)
+	assert.equal(2, next.x.y)
+	assert.equal(1, client.x.y)
+	assert.equal(1, server.x.y)
+	assert.equal(client.m, next.m)
+})
+
+Test('invert', () => {
+	const a = () => ({ x: [1, 2, 3], m: new Map([['k', 1]]), s: new Set([1]) })
+	const b = { x: [4], m: new Map([['j', 1]]), s: new Set([2]), y: 'new' }
+	const d = diff(a(), b)
+	assert.deepEqual(a(), patch(invert(d))(patch(d)(a())))
 })